@@ -36,9 +36,32 @@ function htmlTemplate({attributes, files, meta, publicPath, title}) {
     <div class="toolbar-group">
         <button id="save-btn" title="Save"><i class="icon-save"></i> Save</button>
         <button id="load-btn" title="Load"><i class="icon-folder"></i> Load</button>
+        <button id="import-xml-btn" title="Import XML (select several files to open a project)"><i class="icon-folder"></i> Import XML</button>
+        <button id="merge-file-btn" title="Import another JSON or XML file into the current canvas"><i class="icon-folder"></i> Import into Canvas</button>
+        <button id="open-folder-btn" title="Open a folder of XML files or a Groot2 project (.btproj)"><i class="icon-folder"></i> Open Folder</button>
         <button id="clear-btn" title="Clear"><i class="icon-trash"></i> Clear</button>
         <button id="export-xml-btn" class="export-button" title="Export XML"><i class="icon-export"></i> Export XML
         </button>
+        <button id="save-xml-btn" title="Save XML to the opened file"><i class="icon-save"></i> Save XML</button>
+        <button id="save-xml-as-btn" title="Save XML As…"><i class="icon-save"></i> Save XML As…</button>
+        <button id="save-btproj-btn" title="Save as a Groot2 project (.btproj)"><i class="icon-save"></i> Save Project</button>
+        <span id="current-file-name" class="current-file-name"></span>
+        <select id="xml-format" title="BehaviorTree.CPP XML Format">
+            <option value="4">BTCPP v4</option>
+            <option value="3">BTCPP v3</option>
+        </select>
+    </div>
+
+    <div class="toolbar-group">
+        <button id="undo-btn" title="Undo (Ctrl+Z)">Undo</button>
+        <button id="redo-btn" title="Redo (Ctrl+Shift+Z)">Redo</button>
+    </div>
+
+    <div class="toolbar-group tree-controls">
+        <select id="tree-select" title="Behavior Tree"></select>
+        <button id="add-tree-btn" title="New Tree"><i class="icon-plus"></i> Tree</button>
+        <button id="edit-tree-btn" title="Edit Tree">Edit</button>
+        <button id="delete-tree-btn" title="Delete Tree"><i class="icon-trash"></i></button>
     </div>
 
     <div class="toolbar-group">
@@ -76,6 +99,24 @@ function htmlTemplate({attributes, files, meta, publicPath, title}) {
         <button id="add-node-btn" class="add-node-button">
             <i class="icon-plus"></i> Add Custom Node
         </button>
+        <button id="import-models-btn" class="add-node-button" title="从TreeNodesModel XML导入节点类型">
+            <i class="icon-folder"></i> Import Node Models
+        </button>
+
+        <div class="history-panel">
+            <div class="history-header">
+                <h3>History</h3>
+            </div>
+            <ul class="history-list" id="history-list"></ul>
+        </div>
+
+        <div class="problems-panel">
+            <div class="problems-header">
+                <h3>Problems</h3>
+                <span class="problems-summary" id="problems-summary"></span>
+            </div>
+            <ul class="problems-list" id="problems-list"></ul>
+        </div>
 
         <div class="monitor-panel">
             <div class="monitor-header">
@@ -105,6 +146,8 @@ function htmlTemplate({attributes, files, meta, publicPath, title}) {
             </div>
         </div>
 
+        <div class="tree-breadcrumb" id="tree-breadcrumb" style="display: none;"></div>
+
         <div class="zoom-controls">
             <button id="zoom-in-btn" class="zoom-button" title="Zoom In">+</button>
             <button id="zoom-reset-btn" class="zoom-button" title="Reset Zoom">⟳</button>
@@ -185,6 +228,18 @@ function htmlTemplate({attributes, files, meta, publicPath, title}) {
                     <option value="select">枚举(下拉选择)</option>
                 </select>
             </div>
+            <div class="form-row">
+                <label for="property-direction">端口方向:</label>
+                <select id="property-direction">
+                    <option value="input">输入 (input_port)</option>
+                    <option value="output">输出 (output_port)</option>
+                    <option value="inout">双向 (inout_port)</option>
+                </select>
+            </div>
+            <div class="form-row">
+                <label for="property-port-type">端口类型:</label>
+                <input type="text" id="property-port-type" placeholder="如 int、double、std::string，留空则按属性类型推断">
+            </div>
             <div class="form-row">
                 <label for="property-default">默认值:</label>
                 <input type="text" id="property-default">
@@ -217,6 +272,93 @@ function htmlTemplate({attributes, files, meta, publicPath, title}) {
     </div>
 </div>
 
+<!-- 行为树属性模态框 -->
+<div id="tree-modal" class="modal">
+    <div class="modal-content">
+        <span class="close" id="close-tree-modal">&times;</span>
+        <h3 id="tree-modal-title">新建行为树</h3>
+        <form id="tree-form">
+            <div class="form-row">
+                <label for="tree-id">树ID:</label>
+                <input type="text" id="tree-id" required>
+            </div>
+            <div class="form-row">
+                <label for="tree-description">描述:</label>
+                <textarea id="tree-description" rows="2"></textarea>
+            </div>
+            <div class="form-row">
+                <label for="tree-main">
+                    <input type="checkbox" id="tree-main"> 设为主树 (main_tree_to_execute)
+                </label>
+            </div>
+            <div class="modal-buttons">
+                <button type="button" class="cancel-btn" id="cancel-tree">取消</button>
+                <button type="submit" class="create-btn">确定</button>
+            </div>
+        </form>
+    </div>
+</div>
+
+<!-- 合并文件时的节点类型冲突模态框 -->
+<div id="type-conflict-modal" class="modal">
+    <div class="modal-content">
+        <span class="close" id="close-type-conflict-modal">&times;</span>
+        <h3>节点类型冲突</h3>
+        <p>导入的文件中以下自定义节点类型与当前定义不同，请选择处理方式：</p>
+        <table class="properties-table">
+            <thead>
+            <tr>
+                <th>类型</th>
+                <th>差异</th>
+                <th>处理方式</th>
+            </tr>
+            </thead>
+            <tbody id="type-conflict-list"></tbody>
+        </table>
+        <div class="modal-buttons">
+            <button type="button" class="cancel-btn" id="cancel-type-conflict">取消导入</button>
+            <button type="button" class="create-btn" id="confirm-type-conflict">导入</button>
+        </div>
+    </div>
+</div>
+
+<!-- 用组合节点或装饰节点包裹所选节点 -->
+<div id="wrap-node-modal" class="modal">
+    <div class="modal-content">
+        <span class="close" id="close-wrap-node-modal">&times;</span>
+        <h3>包裹节点</h3>
+        <form id="wrap-node-form">
+            <div class="form-row">
+                <label for="wrap-node-type">父节点类型:</label>
+                <select id="wrap-node-type"></select>
+            </div>
+            <div class="modal-buttons">
+                <button type="button" class="cancel-btn" id="cancel-wrap-node">取消</button>
+                <button type="submit" class="create-btn">包裹</button>
+            </div>
+        </form>
+    </div>
+</div>
+
+<!-- 更改节点类型模态框 -->
+<div id="change-type-modal" class="modal">
+    <div class="modal-content">
+        <span class="close" id="close-change-type-modal">&times;</span>
+        <h3>更改节点类型</h3>
+        <form id="change-type-form">
+            <div class="form-row">
+                <label for="change-type-select">新类型:</label>
+                <select id="change-type-select"></select>
+            </div>
+            <p id="change-type-summary" class="change-type-summary"></p>
+            <div class="modal-buttons">
+                <button type="button" class="cancel-btn" id="cancel-change-type">取消</button>
+                <button type="submit" class="create-btn" id="confirm-change-type">更改</button>
+            </div>
+        </form>
+    </div>
+</div>
+
 <div id="xml-modal" class="modal">
     <div class="modal-content">
         <span class="close" id="close-xml-modal">&times;</span>
@@ -231,6 +373,8 @@ function htmlTemplate({attributes, files, meta, publicPath, title}) {
 <div class="context-menu" id="connection-context-menu">
     <ul>
         <li id="delete-connection">Delete Connection</li>
+        <li id="move-child-earlier">Move Child Earlier</li>
+        <li id="move-child-later">Move Child Later</li>
     </ul>
 </div>
 
@@ -238,6 +382,14 @@ function htmlTemplate({attributes, files, meta, publicPath, title}) {
     <ul>
         <li id="delete-node">Delete Node</li>
         <li id="duplicate-node">Duplicate Node</li>
+        <li id="copy-node">Copy</li>
+        <li id="cut-node">Cut</li>
+        <li id="paste-node">Paste</li>
+        <li id="set-tree-root">Set as Tree Root</li>
+        <li id="extract-subtree">Extract to SubTree</li>
+        <li id="inline-subtree">Inline SubTree</li>
+        <li id="wrap-node">Wrap in… (Ctrl+G)</li>
+        <li id="change-node-type">Change Type…</li>
     </ul>
 </div>
 
@@ -0,0 +1,62 @@
+/**
+ * Breadcrumb Component - 显示从外层树进入SubTree的路径，点击上层的树返回
+ */
+import {eventBus, EVENTS} from '../core/events.js';
+import {clearElement, createElement} from '../utils/dom.js';
+
+export function initBreadcrumb(elements, state, subtrees) {
+    /**
+     * 根据导航路径重建面包屑，只有进入了SubTree时才显示
+     */
+    function updateBreadcrumb() {
+        const bar = document.getElementById('tree-breadcrumb');
+        if (!bar) return;
+
+        clearElement(bar);
+
+        const path = subtrees.getNavigationPath();
+        bar.style.display = path.length > 1 ? '' : 'none';
+
+        path.forEach((treeId, level) => {
+            if (level > 0) {
+                bar.appendChild(createElement('span', {className: 'breadcrumb-separator'}, '›'));
+            }
+
+            const isCurrent = level === path.length - 1;
+            bar.appendChild(createElement('span', {
+                className: isCurrent ? 'breadcrumb-item current' : 'breadcrumb-item',
+                dataset: {level},
+                title: isCurrent ? treeId : `返回 ${treeId}`
+            }, treeId));
+        });
+    }
+
+    /**
+     * 设置事件监听器
+     */
+    function setupEventListeners() {
+        const bar = document.getElementById('tree-breadcrumb');
+        if (bar) {
+            bar.addEventListener('click', (e) => {
+                const item = e.target.closest('.breadcrumb-item');
+                if (item && !item.classList.contains('current')) {
+                    subtrees.navigateTo(parseInt(item.dataset.level, 10));
+                    updateBreadcrumb();
+                }
+            });
+        }
+
+        eventBus.on(EVENTS.TREE_CHANGED, updateBreadcrumb);
+        eventBus.on(EVENTS.STATE_LOADED, updateBreadcrumb);
+        eventBus.on(EVENTS.STATE_RESET, updateBreadcrumb);
+    }
+
+    // 初始化
+    setupEventListeners();
+    updateBreadcrumb();
+
+    // 返回公共API
+    return {
+        updateBreadcrumb
+    };
+}
@@ -93,6 +93,19 @@ export function initDialogs(elements, state) {
             });
         }
 
+        // 调整子节点顺序，不移动节点位置
+        [['#move-child-earlier', -1], ['#move-child-later', 1]].forEach(([selector, offset]) => {
+            const moveChildBtn = menu.querySelector(selector);
+            if (moveChildBtn) {
+                moveChildBtn.addEventListener('click', () => {
+                    const connectionId = stateManager.getSelectedConnection();
+                    if (connectionId && window.editor && window.editor.modules && window.editor.modules.connections) {
+                        window.editor.modules.connections.moveChildConnection(connectionId, offset);
+                    }
+                });
+            }
+        });
+
         // 添加右键菜单事件
         document.addEventListener('contextmenu', (e) => {
             const path = e.target.closest('.connection-path');
@@ -149,6 +162,79 @@ export function initDialogs(elements, state) {
             });
         }
 
+        // Copy, cut and paste through the clipboard module
+        [
+            ['#copy-node', clipboard => clipboard.copySelection()],
+            ['#cut-node', clipboard => clipboard.cutSelection()],
+            ['#paste-node', clipboard => clipboard.pasteClipboard()]
+        ].forEach(([selector, action]) => {
+            const clipboardBtn = menu.querySelector(selector);
+            if (clipboardBtn) {
+                clipboardBtn.addEventListener('click', () => {
+                    if (window.editor && window.editor.modules && window.editor.modules.clipboard) {
+                        action(window.editor.modules.clipboard);
+                    }
+                    menu.style.display = 'none';
+                });
+            }
+        });
+
+        // Make the node the root of the current tree
+        const setTreeRootBtn = menu.querySelector('#set-tree-root');
+        if (setTreeRootBtn) {
+            setTreeRootBtn.addEventListener('click', () => {
+                const selectedNodes = stateManager.getSelectedNodes();
+
+                if (selectedNodes.length === 1 && !stateManager.setTreeRoot(selectedNodes[0])) {
+                    logger.warn('Only a node without a parent can be the tree root');
+                }
+
+                menu.style.display = 'none';
+            });
+        }
+
+        // Move the selected branch into its own tree
+        const extractSubTreeBtn = menu.querySelector('#extract-subtree');
+        if (extractSubTreeBtn) {
+            extractSubTreeBtn.addEventListener('click', () => {
+                menu.style.display = 'none';
+                if (window.editor && window.editor.modules && window.editor.modules.subtrees) {
+                    window.editor.modules.subtrees.extractToSubTree();
+                }
+            });
+        }
+
+        // Replace a SubTree node with the nodes of the tree it calls
+        const inlineSubTreeBtn = menu.querySelector('#inline-subtree');
+        if (inlineSubTreeBtn) {
+            inlineSubTreeBtn.addEventListener('click', () => {
+                menu.style.display = 'none';
+                if (window.editor && window.editor.modules && window.editor.modules.subtrees) {
+                    window.editor.modules.subtrees.inlineSubTree();
+                }
+            });
+        }
+
+        // Insert a composite or decorator above the selected nodes
+        const wrapNodeBtn = menu.querySelector('#wrap-node');
+        if (wrapNodeBtn) {
+            wrapNodeBtn.addEventListener('click', () => {
+                menu.style.display = 'none';
+                eventBus.emit(EVENTS.TOOLBAR_ACTION, {action: 'wrap-selected'});
+            });
+        }
+
+        // Swap the node's type in place
+        const changeNodeTypeBtn = menu.querySelector('#change-node-type');
+        if (changeNodeTypeBtn) {
+            changeNodeTypeBtn.addEventListener('click', () => {
+                menu.style.display = 'none';
+                if (window.editor && window.editor.modules && window.editor.modules.nodes) {
+                    window.editor.modules.nodes.showChangeTypeDialog();
+                }
+            });
+        }
+
         // Show menu on node right-click
         document.addEventListener('contextmenu', (e) => {
             const nodeElement = e.target.closest('.tree-node');
@@ -163,6 +249,18 @@ export function initDialogs(elements, state) {
                     stateManager.selectNode(nodeId);
                 }
 
+                // Inlining only applies to a single SubTree node
+                if (inlineSubTreeBtn) {
+                    const node = stateManager.getNodes().find(n => n.id === nodeId);
+                    const isSubTree = node && node.category === 'subtree' && stateManager.getSelectedNodes().length === 1;
+                    inlineSubTreeBtn.style.display = isSubTree ? '' : 'none';
+                }
+
+                // Changing the type applies to a single node
+                if (changeNodeTypeBtn) {
+                    changeNodeTypeBtn.style.display = stateManager.getSelectedNodes().length === 1 ? '' : 'none';
+                }
+
                 // Show context menu
                 showContextMenu(menu, e.clientX, e.clientY);
             }
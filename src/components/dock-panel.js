@@ -11,7 +11,7 @@ import {
     getDefaultConstraintsForCategory
 } from "../data/node-types.js";
 
-export function initDockPanel(elements, state, nodesModule) {
+export function initDockPanel(elements, state, nodesModule, serializationModule) {
     const stateManager = state;
     let currentNodeProperties = [];
 
@@ -270,6 +270,12 @@ export function initDockPanel(elements, state, nodesModule) {
             addNodeBtn.addEventListener('click', showCreateNodeModal);
         }
 
+        // 从TreeNodesModel XML导入节点类型按钮
+        const importModelsBtn = document.getElementById('import-models-btn');
+        if (importModelsBtn) {
+            importModelsBtn.addEventListener('click', () => serializationModule.importNodeModels());
+        }
+
         // 模态框关闭按钮
         const closeCreateModal = document.getElementById('close-create-modal');
         const cancelCreateNodeBtn = document.getElementById('cancel-create-node');
@@ -290,7 +296,7 @@ export function initDockPanel(elements, state, nodesModule) {
 
         // 监听节点类型事件
         eventBus.on(EVENTS.NODE_CHANGED, (data) => {
-            if (data.type === 'type-added' || data.type === 'type-removed') {
+            if (data.type === 'type-added' || data.type === 'type-updated' || data.type === 'type-removed') {
                 initNodeTreeView();
             }
         });
@@ -439,6 +445,7 @@ export function initDockPanel(elements, state, nodesModule) {
                 <tr>
                     <th>名称</th>
                     <th>类型</th>
+                    <th>方向</th>
                     <th>默认值</th>
                     <th>操作</th>
                 </tr>
@@ -455,6 +462,7 @@ export function initDockPanel(elements, state, nodesModule) {
             row.innerHTML = `
                 <td>${prop.name}</td>
                 <td>${prop.type}</td>
+                <td>${prop.direction || 'input'}</td>
                 <td>${prop.default || ''}</td>
                 <td>
                     <button type="button" class="edit-prop-btn" data-index="${index}">编辑</button>
@@ -509,6 +517,8 @@ export function initDockPanel(elements, state, nodesModule) {
 
                 const name = document.getElementById('property-name').value.trim();
                 const type = document.getElementById('property-type').value;
+                const direction = document.getElementById('property-direction').value;
+                const portType = document.getElementById('property-port-type').value.trim();
                 const defaultValue = document.getElementById('property-default').value.trim();
                 const description = document.getElementById('property-description').value.trim();
 
@@ -521,6 +531,8 @@ export function initDockPanel(elements, state, nodesModule) {
                 const newProperty = {
                     name,
                     type,
+                    direction,
+                    portType,
                     default: defaultValue,
                     description
                 };
@@ -644,6 +656,8 @@ export function initDockPanel(elements, state, nodesModule) {
             // 填充表单
             document.getElementById('property-name').value = property.name;
             document.getElementById('property-type').value = property.type;
+            document.getElementById('property-direction').value = property.direction || 'input';
+            document.getElementById('property-port-type').value = property.portType || '';
             document.getElementById('property-default').value = property.default || '';
             document.getElementById('property-description').value = property.description || '';
 
@@ -704,6 +718,8 @@ export function initDockPanel(elements, state, nodesModule) {
 
                 const name = document.getElementById('property-name').value.trim();
                 const type = document.getElementById('property-type').value;
+                const direction = document.getElementById('property-direction').value;
+                const portType = document.getElementById('property-port-type').value.trim();
                 const defaultValue = document.getElementById('property-default').value.trim();
                 const description = document.getElementById('property-description').value.trim();
 
@@ -716,6 +732,8 @@ export function initDockPanel(elements, state, nodesModule) {
                 const updatedProperty = {
                     name,
                     type,
+                    direction,
+                    portType,
                     default: defaultValue,
                     description
                 };
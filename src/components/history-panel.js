@@ -0,0 +1,65 @@
+/**
+ * History Panel Component - 显示撤销历史，点击某一步可一次撤销或重做到该步
+ */
+import {eventBus, EVENTS} from '../core/events.js';
+import {clearElement, createElement} from '../utils/dom.js';
+
+export function initHistoryPanel(elements, state) {
+    const stateManager = state;
+
+    /**
+     * 根据历史记录重建列表，最新的步骤在最下方
+     */
+    function updateHistoryList() {
+        const list = document.getElementById('history-list');
+        if (!list) return;
+
+        clearElement(list);
+
+        const {labels, position} = stateManager.getHistory();
+
+        // 第0项代表没有任何编辑的初始状态
+        ['初始状态', ...labels].forEach((label, index) => {
+            const classes = ['history-item'];
+            if (index === position) classes.push('current');
+            if (index > position) classes.push('undone');
+
+            list.appendChild(createElement('li', {
+                className: classes.join(' '),
+                dataset: {position: index},
+                title: index > position ? '重做到此步' : '撤销到此步'
+            }, label));
+        });
+
+        const current = list.querySelector('.history-item.current');
+        if (current && current.scrollIntoView) {
+            current.scrollIntoView({block: 'nearest'});
+        }
+    }
+
+    /**
+     * 设置事件监听器
+     */
+    function setupEventListeners() {
+        const list = document.getElementById('history-list');
+        if (list) {
+            list.addEventListener('click', (e) => {
+                const item = e.target.closest('.history-item');
+                if (item) {
+                    stateManager.jumpToHistory(parseInt(item.dataset.position, 10));
+                }
+            });
+        }
+
+        eventBus.on(EVENTS.HISTORY_CHANGED, updateHistoryList);
+    }
+
+    // 初始化
+    setupEventListeners();
+    updateHistoryList();
+
+    // 返回公共API
+    return {
+        updateHistoryList
+    };
+}
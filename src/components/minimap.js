@@ -373,6 +373,7 @@ export function initMinimap(elements, state, renderer) {
         // 节点变化时更新Minimap
         eventBus.on(EVENTS.NODE_CHANGED, renderMinimap);
         eventBus.on(EVENTS.CONNECTION_CHANGED, renderMinimap);
+        eventBus.on(EVENTS.TREE_CHANGED, renderMinimap);
 
         // 窗口大小变化时更新Minimap
         window.addEventListener('resize', renderMinimap);
@@ -0,0 +1,148 @@
+/**
+ * Problems Panel Component - 列出所有校验结果，点击某一项可定位并选中相关节点
+ */
+import {eventBus, EVENTS} from '../core/events.js';
+import {clearElement, createElement} from '../utils/dom.js';
+
+// 严重程度的显示文字和图标
+const SEVERITY_LABELS = {
+    error: {text: '错误', icon: '✖'},
+    warning: {text: '警告', icon: '⚠'},
+    info: {text: '提示', icon: 'ℹ'}
+};
+
+export function initProblemsPanel(elements, state, validation, viewport) {
+    const stateManager = state;
+
+    // 当前显示的校验结果，与列表项的data-index对应
+    let problems = [];
+
+    /**
+     * 根据校验结果重建问题列表
+     * @param {Array} results - 校验结果
+     */
+    function updateProblemsList(results = validation.getResults()) {
+        const list = document.getElementById('problems-list');
+        if (!list) return;
+
+        clearElement(list);
+        problems = results;
+
+        updateSummary();
+
+        if (problems.length === 0) {
+            list.appendChild(createElement('li', {className: 'problem-item empty'}, '没有发现问题'));
+            return;
+        }
+
+        const showTreeId = stateManager.getTrees().length > 1;
+
+        problems.forEach((problem, index) => {
+            const severity = SEVERITY_LABELS[problem.severity];
+            const location = describeLocation(problem, showTreeId);
+
+            list.appendChild(createElement('li', {
+                className: `problem-item ${problem.severity}`,
+                dataset: {index},
+                title: `${severity.text}: ${problem.message}`
+            }, [
+                createElement('span', {className: 'problem-icon'}, severity.icon),
+                createElement('span', {className: 'problem-message'}, problem.message),
+                location ? createElement('span', {className: 'problem-location'}, location) : null
+            ]));
+        });
+    }
+
+    /**
+     * 在标题旁显示各严重程度的数量
+     */
+    function updateSummary() {
+        const summary = document.getElementById('problems-summary');
+        if (!summary) return;
+
+        summary.textContent = Object.keys(SEVERITY_LABELS)
+            .map(severity => [severity, problems.filter(problem => problem.severity === severity).length])
+            .filter(([, count]) => count > 0)
+            .map(([severity, count]) => `${count} ${SEVERITY_LABELS[severity].text}`)
+            .join(' · ');
+    }
+
+    /**
+     * 描述问题所在的节点，节点名称可能重复，因此同时显示节点ID
+     */
+    function describeLocation(problem, showTreeId) {
+        const {nodes} = problem.treeId ? stateManager.getTreeContents(problem.treeId) : {nodes: []};
+        const names = problem.nodeIds
+            .map(id => nodes.find(node => node.id === id))
+            .filter(Boolean)
+            .map(node => `${node.name} (${node.id})`);
+
+        let location = names.slice(0, 2).join(', ');
+        if (names.length > 2) {
+            location += ` 等${names.length}个节点`;
+        }
+
+        if (showTreeId && problem.treeId) {
+            location = location ? `${problem.treeId} › ${location}` : problem.treeId;
+        }
+
+        return location;
+    }
+
+    /**
+     * 切换到问题所在的树，将视图中心移到相关节点并选中它们
+     * @param {Object} problem - 校验结果
+     */
+    function revealProblem(problem) {
+        if (!problem.treeId) return;
+
+        if (problem.treeId !== stateManager.getActiveTreeId()) {
+            stateManager.setActiveTree(problem.treeId);
+        }
+
+        const nodeIds = problem.nodeIds.filter(id => stateManager.getNodes().some(node => node.id === id));
+        if (nodeIds.length > 0) {
+            viewport.centerOnNode(nodeIds[0]);
+            stateManager.selectNodes(nodeIds);
+            return;
+        }
+
+        // 只涉及连接的问题选中第一条连接并定位到其子节点
+        const connection = stateManager.getConnections().find(conn => problem.connectionIds.includes(conn.id));
+        if (connection) {
+            viewport.centerOnNode(connection.target);
+            stateManager.selectConnection(connection.id, 'selected');
+        }
+    }
+
+    /**
+     * 设置事件监听器
+     */
+    function setupEventListeners() {
+        const list = document.getElementById('problems-list');
+        if (list) {
+            list.addEventListener('click', (e) => {
+                const item = e.target.closest('.problem-item[data-index]');
+                if (item) {
+                    revealProblem(problems[parseInt(item.dataset.index, 10)]);
+                }
+            });
+        }
+
+        eventBus.on(EVENTS.VALIDATION_CHANGED, (data) => {
+            if (data.type === 'validated') {
+                updateProblemsList(data.results);
+            }
+        });
+    }
+
+    // 初始化
+    setupEventListeners();
+    updateProblemsList();
+
+    // 返回公共API
+    return {
+        updateProblemsList,
+        revealProblem
+    };
+}
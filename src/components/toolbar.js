@@ -24,8 +24,16 @@ export function initToolbar(elements, state) {
         const buttons = {
             'save-btn': () => eventBus.emit(EVENTS.TOOLBAR_ACTION, {action: 'save'}),
             'load-btn': () => eventBus.emit(EVENTS.TOOLBAR_ACTION, {action: 'load'}),
+            'import-xml-btn': () => eventBus.emit(EVENTS.TOOLBAR_ACTION, {action: 'import-xml'}),
+            'merge-file-btn': () => eventBus.emit(EVENTS.TOOLBAR_ACTION, {action: 'merge-file'}),
+            'open-folder-btn': () => eventBus.emit(EVENTS.TOOLBAR_ACTION, {action: 'open-folder'}),
+            'save-btproj-btn': () => eventBus.emit(EVENTS.TOOLBAR_ACTION, {action: 'save-btproj'}),
+            'undo-btn': () => stateManager.undo(),
+            'redo-btn': () => stateManager.redo(),
             'clear-btn': () => eventBus.emit(EVENTS.TOOLBAR_ACTION, {action: 'clear'}),
             'export-xml-btn': () => eventBus.emit(EVENTS.TOOLBAR_ACTION, {action: 'export-xml'}),
+            'save-xml-btn': () => eventBus.emit(EVENTS.TOOLBAR_ACTION, {action: 'save-xml'}),
+            'save-xml-as-btn': () => eventBus.emit(EVENTS.TOOLBAR_ACTION, {action: 'save-xml-as'}),
             'toggle-minimap-btn': () => {
                 if (window.editor && window.editor.modules && window.editor.modules.minimap) {
                     window.editor.modules.minimap.toggleMinimap();
@@ -64,6 +72,23 @@ export function initToolbar(elements, state) {
             toggleMinimapBtn.classList.toggle('active', stateManager.getMinimap().isVisible);
         }
 
+        // Undo/redo buttons
+        const undoBtn = document.getElementById('undo-btn');
+        if (undoBtn) {
+            undoBtn.disabled = !stateManager.canUndo();
+        }
+
+        const redoBtn = document.getElementById('redo-btn');
+        if (redoBtn) {
+            redoBtn.disabled = !stateManager.canRedo();
+        }
+
+        // XML format selector
+        const xmlFormatSelect = document.getElementById('xml-format');
+        if (xmlFormatSelect) {
+            xmlFormatSelect.value = stateManager.getXmlFormat();
+        }
+
         // Layout type selector
         const layoutTypeSelect = document.getElementById('layout-type');
         if (layoutTypeSelect) {
@@ -80,6 +105,7 @@ export function initToolbar(elements, state) {
         eventBus.on(EVENTS.LAYOUT_CHANGED, updateButtonStates);
         eventBus.on(EVENTS.STATE_LOADED, updateButtonStates);
         eventBus.on(EVENTS.MINIMAP_CHANGED, updateButtonStates);
+        eventBus.on(EVENTS.HISTORY_CHANGED, updateButtonStates);
     }
 
     function updateAlignButtonsState() {
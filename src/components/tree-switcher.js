@@ -0,0 +1,172 @@
+/**
+ * Tree Switcher Component - 管理工具栏中的行为树切换、新建、编辑和删除
+ */
+import {eventBus, EVENTS} from '../core/events.js';
+import {logger} from '../utils/logger.js';
+import {clearElement, createElement} from '../utils/dom.js';
+
+export function initTreeSwitcher(elements, state) {
+    const stateManager = state;
+
+    // 正在编辑的树ID，为null时表示新建
+    let editingTreeId = null;
+
+    /**
+     * 根据状态重建树选择下拉框
+     */
+    function updateTreeSelect() {
+        const select = document.getElementById('tree-select');
+        if (!select) return;
+
+        clearElement(select);
+
+        const mainTreeId = stateManager.getMainTreeId();
+        stateManager.getTrees().forEach(tree => {
+            const label = tree.id === mainTreeId ? `${tree.id} (main)` : tree.id;
+            const title = tree.description || tree.id;
+            select.appendChild(createElement('option', {
+                value: tree.id,
+                // 从多文件项目加载的树显示其来源文件
+                title: tree.file ? `${title} (${tree.file})` : title
+            }, label));
+        });
+
+        select.value = stateManager.getActiveTreeId();
+
+        const deleteTreeBtn = document.getElementById('delete-tree-btn');
+        if (deleteTreeBtn) {
+            deleteTreeBtn.disabled = stateManager.getTrees().length <= 1;
+        }
+    }
+
+    /**
+     * 显示行为树模态框
+     * @param {string|null} treeId - 要编辑的树ID，为null时新建
+     */
+    function showTreeModal(treeId = null) {
+        const modal = document.getElementById('tree-modal');
+        if (!modal) return;
+
+        editingTreeId = treeId;
+        const tree = treeId ? stateManager.getTrees().find(t => t.id === treeId) : null;
+
+        document.getElementById('tree-modal-title').textContent = tree ? '编辑行为树' : '新建行为树';
+        document.getElementById('tree-id').value = tree ? tree.id : generateTreeId();
+        document.getElementById('tree-description').value = tree ? tree.description : '';
+        document.getElementById('tree-main').checked = tree ? tree.id === stateManager.getMainTreeId() : false;
+
+        modal.style.display = 'block';
+    }
+
+    /**
+     * 隐藏行为树模态框
+     */
+    function hideTreeModal() {
+        const modal = document.getElementById('tree-modal');
+        if (modal) modal.style.display = 'none';
+        editingTreeId = null;
+    }
+
+    /**
+     * 生成一个未被使用的树ID
+     */
+    function generateTreeId() {
+        const ids = stateManager.getTrees().map(t => t.id);
+        let index = ids.length + 1;
+        while (ids.includes(`Tree${index}`)) index++;
+        return `Tree${index}`;
+    }
+
+    /**
+     * 提交行为树表单
+     */
+    function submitTreeForm(e) {
+        e.preventDefault();
+
+        const id = document.getElementById('tree-id').value.trim();
+        const description = document.getElementById('tree-description').value.trim();
+        const isMain = document.getElementById('tree-main').checked;
+
+        if (!/^[A-Za-z_][\w.-]*$/.test(id)) {
+            alert('树ID只能包含字母、数字、下划线、点和短横线，且不能以数字开头');
+            return;
+        }
+
+        if (id !== editingTreeId && stateManager.getTrees().some(t => t.id === id)) {
+            alert(`树ID "${id}" 已存在`);
+            return;
+        }
+
+        if (editingTreeId) {
+            stateManager.updateTree(editingTreeId, {id, description});
+            logger.info(`更新了行为树: ${id}`);
+        } else {
+            stateManager.addTree({id, description});
+            stateManager.setActiveTree(id);
+            logger.info(`新建了行为树: ${id}`);
+        }
+
+        if (isMain) {
+            stateManager.setMainTree(id);
+        }
+
+        hideTreeModal();
+    }
+
+    /**
+     * 删除当前显示的树
+     */
+    function deleteActiveTree() {
+        const treeId = stateManager.getActiveTreeId();
+        if (stateManager.getTrees().length <= 1) return;
+
+        if (confirm(`确定要删除行为树 "${treeId}" 吗？这将删除该树中的所有节点。`)) {
+            stateManager.removeTree(treeId);
+            logger.info(`删除了行为树: ${treeId}`);
+        }
+    }
+
+    /**
+     * 设置事件监听器
+     */
+    function setupEventListeners() {
+        const select = document.getElementById('tree-select');
+        if (select) {
+            select.addEventListener('change', () => stateManager.setActiveTree(select.value));
+        }
+
+        const buttons = {
+            'add-tree-btn': () => showTreeModal(),
+            'edit-tree-btn': () => showTreeModal(stateManager.getActiveTreeId()),
+            'delete-tree-btn': deleteActiveTree,
+            'close-tree-modal': hideTreeModal,
+            'cancel-tree': hideTreeModal
+        };
+
+        Object.entries(buttons).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        });
+
+        const form = document.getElementById('tree-form');
+        if (form) {
+            form.addEventListener('submit', submitTreeForm);
+        }
+
+        eventBus.on(EVENTS.TREE_CHANGED, updateTreeSelect);
+        eventBus.on(EVENTS.STATE_LOADED, updateTreeSelect);
+        eventBus.on(EVENTS.STATE_RESET, updateTreeSelect);
+    }
+
+    // 初始化
+    setupEventListeners();
+    updateTreeSelect();
+
+    // 返回公共API
+    return {
+        updateTreeSelect,
+        showTreeModal
+    };
+}
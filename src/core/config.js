@@ -33,12 +33,26 @@ export const config = {
         animationDuration: 500
     },
 
+    // XML serialization (BehaviorTree.CPP format version)
+    xml: {
+        defaultFormat: '4'
+    },
+    trees: {
+        defaultTreeId: 'MainTree'
+    },
+
+    // Undo history
+    history: {
+        limit: 100
+    },
+
     // Connection appearance
     connection: {
         strokeWidth: 2,
         normalColor: '#666',
         selectedColor: '#2196f3',
         pendingColor: '#0066cc',
-        invalidColor: '#f44336'
+        invalidColor: '#f44336',
+        badgeRadius: 8
     }
 };
\ No newline at end of file
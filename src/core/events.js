@@ -13,11 +13,20 @@ export const EVENTS = {
     NODE_CHANGED: 'node:changed', // type: created, updated, deleted, moved
 
     // Connection events
-    CONNECTION_CHANGED: 'connection:changed', // type: created, deleted, selected, unselected
+    CONNECTION_CHANGED: 'connection:changed', // type: created, deleted, selected, unselected, reordered
+
+    // Tree events
+    TREE_CHANGED: 'tree:changed', // type: created, updated, deleted, activated, root-changed
 
     // Selection events
     SELECTION_CHANGED: 'selection:changed',
 
+    // Validation events
+    VALIDATION_CHANGED: 'validation:changed', // type: rule-registered, rule-removed, validated
+
+    // Undo history events
+    HISTORY_CHANGED: 'history:changed',
+
     // Viewport events
     VIEWPORT_CHANGED: 'viewport:changed', // type: scaled, moved, resized
 
@@ -32,7 +41,7 @@ export const EVENTS = {
     MONITOR_CHANGED: 'monitor:changed', // type: started, stopped, updated
 
     // UI events
-    TOOLBAR_ACTION: 'toolbar:action', // action: save, load, export, etc.
+    TOOLBAR_ACTION: 'toolbar:action', // action: save, load, export, merge-file, wrap-selected, etc.
     CONTEXT_MENU: 'ui:context-menu'
 };
 
@@ -0,0 +1,144 @@
+/**
+ * Undo History
+ *
+ * Collects recorded changes into undoable steps. Everything recorded while handling one event
+ * becomes a single step; operations spanning several events (a drag, an animated layout) open
+ * an explicit group so they still undo in one go.
+ */
+import {eventBus, EVENTS} from './events.js';
+
+/**
+ * Create an undo history
+ * @param {number} limit - Maximum number of steps kept for undo
+ * @param {Function} describeStep - Builds a label from a step's entries when no group label was given
+ * @returns {Object} - History API
+ */
+export function createHistory(limit, describeStep) {
+    const undoSteps = [];
+    const redoSteps = [];
+    let openStep = null;
+    let groupDepth = 0;
+
+    function emitChanged() {
+        eventBus.emit(EVENTS.HISTORY_CHANGED, {
+            canUndo: undoSteps.length > 0,
+            canRedo: redoSteps.length > 0
+        });
+    }
+
+    /**
+     * Add a change to the open step, opening one that closes after the current task if needed
+     */
+    function record(entry) {
+        if (!openStep) {
+            openStep = {label: null, entries: []};
+            if (groupDepth === 0) queueMicrotask(closeStep);
+        }
+        openStep.entries.push(entry);
+    }
+
+    /**
+     * Entries recorded so far in the open step, so related changes can be merged
+     */
+    function getOpenEntries() {
+        return openStep ? openStep.entries : [];
+    }
+
+    function closeStep() {
+        if (!openStep || groupDepth > 0) return;
+
+        const step = openStep;
+        openStep = null;
+        if (step.entries.length === 0) return;
+
+        step.label = step.label || describeStep(step.entries);
+        undoSteps.push(step);
+        if (undoSteps.length > limit) undoSteps.shift();
+        redoSteps.length = 0;
+        emitChanged();
+    }
+
+    /**
+     * Start a group; everything recorded until the matching endGroup forms one step
+     */
+    function beginGroup(label) {
+        groupDepth++;
+        if (!openStep) {
+            openStep = {label, entries: []};
+        } else if (!openStep.label) {
+            openStep.label = label;
+        }
+    }
+
+    function endGroup() {
+        if (groupDepth === 0) return;
+        groupDepth--;
+        closeStep();
+    }
+
+    /**
+     * Close any open step or group before moving through the history
+     */
+    function flush() {
+        groupDepth = 0;
+        closeStep();
+    }
+
+    /**
+     * Undo the latest step
+     * @param {Function} revert - Reverts a step's entries
+     * @returns {boolean} - Whether a step was undone
+     */
+    function undo(revert) {
+        flush();
+        const step = undoSteps.pop();
+        if (!step) return false;
+
+        revert(step.entries);
+        redoSteps.push(step);
+        emitChanged();
+        return true;
+    }
+
+    /**
+     * Redo the latest undone step
+     * @param {Function} reapply - Re-applies a step's entries
+     * @returns {boolean} - Whether a step was redone
+     */
+    function redo(reapply) {
+        flush();
+        const step = redoSteps.pop();
+        if (!step) return false;
+
+        reapply(step.entries);
+        undoSteps.push(step);
+        emitChanged();
+        return true;
+    }
+
+    function clear() {
+        openStep = null;
+        groupDepth = 0;
+        undoSteps.length = 0;
+        redoSteps.length = 0;
+        emitChanged();
+    }
+
+    return {
+        record,
+        getOpenEntries,
+        beginGroup,
+        endGroup,
+        undo,
+        redo,
+        clear,
+        canUndo: () => undoSteps.length > 0,
+        canRedo: () => redoSteps.length > 0,
+
+        // Labels of all steps, oldest first; `position` steps are currently applied
+        getSteps: () => ({
+            labels: [...undoSteps, ...[...redoSteps].reverse()].map(step => step.label),
+            position: undoSteps.length
+        })
+    };
+}
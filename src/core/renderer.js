@@ -4,9 +4,12 @@
 import {eventBus, EVENTS} from './events.js';
 import {config} from './config.js';
 import {createSvgElement} from '../utils/dom.js';
-import {getNodeDefinition} from "../data/node-types.js";
+import {getChildConstraints} from "../data/node-types.js";
 import {setupNodeDragAndDrop} from "../utils/drag.js";
 
+// 在画布上标记的校验结果级别，按严重程度排列
+const MARKER_SEVERITIES = ['error', 'warning'];
+
 export function initRenderer(elements, state) {
     const stateManager = state;
 
@@ -16,6 +19,11 @@ export function initRenderer(elements, state) {
     let updatedNodeIds = new Set();
     let updatedConnectionIds = new Set();
 
+    // 最近一次校验的结果，以及由其得出的当前树中节点和连接的标记 id -> {severity, messages}
+    let validationResults = [];
+    let nodeMarkers = new Map();
+    let connectionMarkers = new Map();
+
     // 设置事件监听器
     setupEventListeners();
 
@@ -307,6 +315,12 @@ export function initRenderer(elements, state) {
             nodeEl.classList.add('selected');
         }
 
+        // 标记当前树的根节点
+        const activeTree = stateManager.getActiveTree();
+        if (activeTree && activeTree.rootId === node.id) {
+            nodeEl.classList.add('tree-root');
+        }
+
         // 定位节点
         nodeEl.style.left = `${node.x}px`;
         nodeEl.style.top = `${node.y}px`;
@@ -348,6 +362,9 @@ export function initRenderer(elements, state) {
         // 根据约束更新端口可见性
         updateNodePortVisibility(nodeEl, node);
 
+        // 显示校验问题标记
+        applyNodeMarker(nodeEl, nodeMarkers.get(node.id));
+
         nodeEl.addEventListener('click', (e) => {
             // 如果点击的是端口，不处理选择操作
             if (e.target.classList.contains('port')) {
@@ -373,52 +390,22 @@ export function initRenderer(elements, state) {
      */
     function updateNodePortVisibility(nodeEl, node) {
         const connections = stateManager.getConnections();
-        const nodeDef = getNodeDefinition(node.type, node.category);
-
-        if (!nodeDef) return;
 
-        // 子端口可见性与禁用状态
+        // 子端口可见性与禁用状态，与连接时的检查使用相同的子节点数量约束
         const childPort = nodeEl.querySelector('.port-child');
         if (childPort) {
-            // 基于节点类别的规则
-            if (node.category === 'action' || node.category === 'subtree' || node.category === 'condition') {
-                // 动作、条件和子树节点不能有子节点
-                childPort.classList.add('disabled');
-                childPort.title = `${node.category.charAt(0).toUpperCase() + node.category.slice(1)}节点不能有子节点`;
-            } else if (node.category === 'decorator') {
-                // 装饰器节点只能有一个子节点
-                const childCount = connections.filter(conn => conn.source === node.id).length;
-                if (childCount >= 1) {
-                    childPort.classList.add('disabled');
-                    childPort.title = '装饰器节点只能有一个子节点';
-                } else {
-                    childPort.classList.remove('disabled');
-                    childPort.title = '';
-                }
-            } else if (node.category === 'composite') {
-                // 控制节点规则
-                if (nodeDef.maxChildren !== null) {
-                    const childCount = connections.filter(conn => conn.source === node.id).length;
-                    if (childCount >= nodeDef.maxChildren) {
-                        childPort.classList.add('disabled');
-                        childPort.title = `最多允许${nodeDef.maxChildren}个子节点`;
-                    } else {
-                        childPort.classList.remove('disabled');
-                        childPort.title = '';
-                    }
-                } else {
-                    childPort.classList.remove('disabled');
-                    childPort.title = '';
-                }
+            const {maxChildren, reason} = getChildConstraints(node, stateManager.getCustomNodeTypes());
+            const childCount = connections.filter(conn => conn.source === node.id).length;
 
-                // IfThenElse和WhileDoElse的特殊规则
-                if ((node.type === 'IfThenElse' || node.type === 'WhileDoElse') && childPort) {
-                    const children = connections.filter(conn => conn.source === node.id);
-                    if (children.length >= 3) {
-                        childPort.classList.add('disabled');
-                        childPort.title = `${node.type}最多只能有3个子节点`;
-                    }
-                }
+            if (maxChildren === 0) {
+                childPort.classList.add('disabled');
+                childPort.title = `${node.type}节点不能有子节点`;
+            } else if (maxChildren !== null && childCount >= maxChildren) {
+                childPort.classList.add('disabled');
+                childPort.title = `${node.type}最多只能有${maxChildren}个子节点${reason ? `（${reason}）` : ''}`;
+            } else {
+                childPort.classList.remove('disabled');
+                childPort.title = '';
             }
         }
 
@@ -437,6 +424,81 @@ export function initRenderer(elements, state) {
         }
     }
 
+    /**
+     * 根据校验结果更新当前树中的标记，只重绘标记发生变化的节点和连接
+     * @param {Array} results - 校验结果，与保存和导出使用相同的规则
+     */
+    function updateValidationMarkers(results = validationResults) {
+        validationResults = results;
+
+        const activeTreeId = stateManager.getActiveTreeId();
+        const newNodeMarkers = new Map();
+        const newConnectionMarkers = new Map();
+
+        // 提示级别的结果不在画布上标记
+        results
+            .filter(result => result.treeId === activeTreeId && MARKER_SEVERITIES.includes(result.severity))
+            .forEach(result => {
+                result.nodeIds.forEach(id => addMarker(newNodeMarkers, id, result));
+                result.connectionIds.forEach(id => addMarker(newConnectionMarkers, id, result));
+            });
+
+        const changedIds = (oldMarkers, newMarkers) => [...new Set([...oldMarkers.keys(), ...newMarkers.keys()])]
+            .filter(id => JSON.stringify(oldMarkers.get(id)) !== JSON.stringify(newMarkers.get(id)));
+
+        const changedNodeIds = changedIds(nodeMarkers, newNodeMarkers);
+        const changedConnectionIds = changedIds(connectionMarkers, newConnectionMarkers);
+        nodeMarkers = newNodeMarkers;
+        connectionMarkers = newConnectionMarkers;
+
+        changedNodeIds.forEach(id => {
+            const nodeEl = document.querySelector(`.tree-node[data-id="${id}"]`);
+            if (nodeEl) applyNodeMarker(nodeEl, nodeMarkers.get(id));
+        });
+        changedConnectionIds.forEach(id => {
+            const path = elements.connectionsLayer.querySelector(`.connection-path[data-id="${id}"]`);
+            if (path) applyConnectionMarker(path, connectionMarkers.get(id));
+        });
+    }
+
+    /**
+     * 把一条校验结果合并到节点或连接的标记中，标记取最严重的级别
+     */
+    function addMarker(markers, id, result) {
+        const marker = markers.get(id) || {severity: result.severity, messages: []};
+        if (MARKER_SEVERITIES.indexOf(result.severity) < MARKER_SEVERITIES.indexOf(marker.severity)) {
+            marker.severity = result.severity;
+        }
+        marker.messages.push(result.message);
+        markers.set(id, marker);
+    }
+
+    /**
+     * 在节点右上角显示校验标记，鼠标悬停时显示问题说明
+     */
+    function applyNodeMarker(nodeEl, marker) {
+        nodeEl.querySelectorAll('.validation-badge').forEach(badge => badge.remove());
+        if (!marker) return;
+
+        const badge = document.createElement('div');
+        badge.className = `validation-badge ${marker.severity}`;
+        badge.title = marker.messages.join('\n');
+        badge.textContent = '!';
+        nodeEl.appendChild(badge);
+    }
+
+    /**
+     * 为有问题的连接线着色，鼠标悬停时显示问题说明
+     */
+    function applyConnectionMarker(path, marker) {
+        path.classList.remove(...MARKER_SEVERITIES.map(severity => `validation-${severity}`));
+        path.querySelectorAll('title').forEach(title => title.remove());
+        if (!marker) return;
+
+        path.classList.add(`validation-${marker.severity}`);
+        path.appendChild(createSvgElement('title')).textContent = marker.messages.join('\n');
+    }
+
     /**
      * 渲染所有连接线
      */
@@ -461,11 +523,9 @@ export function initRenderer(elements, state) {
 
         // 处理需要更新的连接
         for (const connectionId of updatedConnectionIds) {
-            // 如果存在，移除现有连接元素
-            const existingConnection = document.querySelector(`path[data-id="${connectionId}"]`);
-            if (existingConnection) {
-                existingConnection.remove();
-            }
+            // 如果存在，移除现有连接元素及其编号徽标
+            elements.connectionsLayer.querySelectorAll(`[data-id="${connectionId}"]`)
+                .forEach(el => el.remove());
             const connection = connections.find(c => c.id === connectionId);
             if (!connection) continue;
             // 创建新连接元素
@@ -502,12 +562,50 @@ export function initRenderer(elements, state) {
         const pathData = generateConnectionPath(sourceNode, targetNode);
         path.setAttribute('d', pathData);
 
+        // 显示校验问题标记
+        applyConnectionMarker(path, connectionMarkers.get(connection.id));
+
         // 添加到连接层
         connectionsLayer.appendChild(path);
 
+        // 在连线靠近子节点的一端显示子节点顺序
+        if (Number.isInteger(connection.index)) {
+            connectionsLayer.appendChild(createConnectionIndexBadge(connection, targetNode));
+        }
+
         return path;
     }
 
+    /**
+     * 创建显示子节点顺序的编号徽标
+     */
+    function createConnectionIndexBadge(connection, targetNode) {
+        const x = targetNode.x + config.nodeWidth / 2;
+        const y = targetNode.y - config.connection.badgeRadius - 4;
+
+        const badge = createSvgElement('g', {
+            'class': 'connection-index-badge',
+            'data-id': connection.id
+        });
+
+        badge.appendChild(createSvgElement('circle', {
+            'cx': x,
+            'cy': y,
+            'r': config.connection.badgeRadius
+        }));
+
+        const label = createSvgElement('text', {
+            'x': x,
+            'y': y,
+            'text-anchor': 'middle',
+            'dominant-baseline': 'central'
+        });
+        label.textContent = String(connection.index + 1);
+        badge.appendChild(label);
+
+        return badge;
+    }
+
     /**
      * 为连接生成SVG路径
      */
@@ -660,6 +758,21 @@ export function initRenderer(elements, state) {
 
         eventBus.on(EVENTS.STATE_LOADED, requestFullRender);
 
+        // 切换树或根节点变化，切换后立即换成新树的校验标记
+        eventBus.on(EVENTS.TREE_CHANGED, (data) => {
+            if (data.type === 'activated') {
+                updateValidationMarkers();
+            }
+            requestFullRender();
+        });
+
+        // 校验结果变化
+        eventBus.on(EVENTS.VALIDATION_CHANGED, (data) => {
+            if (data.type === 'validated') {
+                updateValidationMarkers(data.results);
+            }
+        });
+
         // 窗口大小变化
         window.addEventListener('resize', () => {
             updateCanvasDimensions();
@@ -704,6 +817,7 @@ export function initRenderer(elements, state) {
         updateCanvasDimensions,
         calculateNodesBounds,
         updateNodePortVisibility,
+        updateValidationMarkers,
 
         // 坐标转换工具
         screenToWorld: (x, y) => {
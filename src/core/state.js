@@ -6,14 +6,21 @@
 import {eventBus, EVENTS} from './events.js';
 import {config} from './config.js';
 import {logger} from '../utils/logger.js';
+import {createHistory} from './history.js';
 
 // Initial state definition
 const initialState = {
-    // Nodes and connections
+    // Nodes and connections of the active tree
     nodes: [],
     connections: [],
     customNodeTypes: [],
 
+    // Behavior trees. The active tree's nodes and connections live in `nodes` and `connections`;
+    // every other tree keeps its own `nodes`, `connections` and `viewport` until it is activated.
+    trees: [{id: config.trees.defaultTreeId, description: '', rootId: null}],
+    activeTreeId: config.trees.defaultTreeId,
+    mainTreeId: config.trees.defaultTreeId,
+
     // UI state
     selectedNodes: [],
     selectedConnection: null,
@@ -80,6 +87,9 @@ const initialState = {
         }
     },
 
+    // XML format used for import/export
+    xmlFormat: config.xml.defaultFormat,
+
     // Minimap settings
     minimap: {
         width: 150,
@@ -95,13 +105,302 @@ const initialState = {
     }
 };
 
+// Order in which recorded change types name an undo step; the first type present wins
+const STEP_LABEL_PRIORITY = [
+    'document', 'removeTree', 'addTree', 'updateTree', 'mainTree',
+    'removeNode', 'addNode', 'removeType', 'addType', 'updateType',
+    'addConnection', 'removeConnection', 'reorder', 'updateNode', 'treeRoot'
+];
+
+/**
+ * Build a history label for a step from its recorded changes
+ */
+function describeStep(entries) {
+    const type = STEP_LABEL_PRIORITY.find(t => entries.some(entry => entry.type === t));
+    const matching = entries.filter(entry => entry.type === type);
+    const [first] = matching;
+    const count = matching.length;
+
+    switch (type) {
+        case 'document':
+            return 'Clear tree';
+        case 'removeTree':
+            return `Delete tree "${first.tree.id}"`;
+        case 'addTree':
+            return `Add tree "${first.tree.id}"`;
+        case 'updateTree':
+            return `Edit tree "${first.after.id}"`;
+        case 'mainTree':
+            return `Set main tree "${first.after}"`;
+        case 'removeNode':
+            return count > 1 ? `Delete ${count} nodes` : `Delete node "${first.node.name}"`;
+        case 'addNode':
+            return count > 1 ? `Add ${count} nodes` : `Add node "${first.node.name}"`;
+        case 'removeType':
+            return `Delete node type "${first.nodeType.type}"`;
+        case 'addType':
+            return count > 1 ? `Add ${count} node types` : `Add node type "${first.nodeType.type}"`;
+        case 'updateType':
+            return count > 1 ? `Update ${count} node types` : `Update node type "${first.after.type}"`;
+        case 'addConnection':
+            return count > 1 ? `Add ${count} connections` : 'Connect nodes';
+        case 'removeConnection':
+            return count > 1 ? `Delete ${count} connections` : 'Delete connection';
+        case 'reorder':
+            return 'Reorder children';
+        case 'updateNode': {
+            const moved = matching.every(entry => Object.keys(entry.after).every(key => key === 'x' || key === 'y'));
+            if (count > 1) return moved ? `Move ${count} nodes` : `Edit ${count} nodes`;
+            return moved ? `Move node "${first.name}"` : `Edit node "${first.name}"`;
+        }
+        case 'treeRoot':
+            return 'Set tree root';
+        default:
+            return 'Edit';
+    }
+}
+
 // State management module
 export function initState() {
     // Clone initial state to avoid mutations
     let state = structuredClone(initialState);
 
+    // Undo history. Changes made while undoing or redoing are not recorded again.
+    const history = createHistory(config.history.limit, describeStep);
+    let replaying = false;
+
+    /**
+     * Record a reversible change. Node, connection and root changes are tagged with the active
+     * tree so undo can switch back to it first.
+     */
+    function record(entry, inActiveTree = true) {
+        if (replaying) return;
+        history.record(inActiveTree ? {treeId: state.activeTreeId, ...entry} : entry);
+    }
+
+    /**
+     * Record the previous values of the updated fields. Repeated updates of one node within a
+     * step (drag) are merged into a single entry.
+     */
+    function recordNodeUpdate(node, updates) {
+        if (replaying) return;
+
+        const keys = Object.keys(updates).filter(key => key !== 'id');
+        if (keys.length === 0) return;
+
+        const before = {};
+        const after = {};
+        keys.forEach(key => {
+            before[key] = structuredClone(node[key]);
+            after[key] = structuredClone(updates[key]);
+        });
+
+        const entries = history.getOpenEntries();
+        for (let i = entries.length - 1; i >= 0 && entries[i].type === 'updateNode'; i--) {
+            const entry = entries[i];
+            if (entry.nodeId === node.id && entry.treeId === state.activeTreeId) {
+                keys.forEach(key => {
+                    if (!(key in entry.before)) entry.before[key] = before[key];
+                });
+                Object.assign(entry.after, after);
+                return;
+            }
+        }
+
+        record({type: 'updateNode', nodeId: node.id, name: node.name, before, after});
+    }
+
+    /**
+     * The parts of the state that make up the edited document
+     */
+    function snapshotDocument() {
+        const {nodes, connections, trees, activeTreeId, mainTreeId, idCounters} = state;
+        return structuredClone({nodes, connections, trees, activeTreeId, mainTreeId, idCounters});
+    }
+
+    function restoreDocument(snapshot) {
+        Object.assign(state, structuredClone(snapshot));
+        state.selectedNodes = [];
+        state.selectedConnection = null;
+        state.pendingConnection = null;
+        eventBus.emit(EVENTS.STATE_LOADED);
+    }
+
+    function insertNode(node, index) {
+        state.nodes.splice(Math.min(index, state.nodes.length), 0, node);
+        eventBus.emit(EVENTS.NODE_CHANGED, {type: 'created', node});
+    }
+
+    function insertConnection(connection, index) {
+        state.connections.splice(Math.min(index, state.connections.length), 0, connection);
+        eventBus.emit(EVENTS.CONNECTION_CHANGED, {type: 'created', id: connection.id});
+    }
+
+    function setConnectionIndices(indices) {
+        Object.entries(indices).forEach(([id, index]) => {
+            const connection = state.connections.find(c => c.id === id);
+            if (connection) connection.index = index;
+        });
+        Object.keys(indices).forEach(id => {
+            eventBus.emit(EVENTS.CONNECTION_CHANGED, {type: 'reordered', id});
+        });
+    }
+
+    function setTreeRootId(treeId, rootId) {
+        const tree = state.trees.find(t => t.id === treeId);
+        if (!tree) return;
+        tree.rootId = rootId;
+        eventBus.emit(EVENTS.TREE_CHANGED, {type: 'root-changed', treeId});
+    }
+
+    function replaceCustomNodeType(type, nodeType) {
+        const index = state.customNodeTypes.findIndex(nt => nt.type === type);
+        if (index === -1) return;
+        state.customNodeTypes[index] = nodeType;
+        eventBus.emit(EVENTS.NODE_CHANGED, {type: 'type-updated', nodeType});
+    }
+
+    /**
+     * Undo (or redo) one recorded change
+     */
+    function applyEntry(entry, undo) {
+        // Tree contents can only be changed while the tree is on the canvas
+        if (entry.treeId && entry.treeId !== state.activeTreeId) {
+            stateApi.setActiveTree(entry.treeId);
+        }
+
+        switch (entry.type) {
+            case 'addNode':
+            case 'removeNode':
+                if (undo === (entry.type === 'addNode')) {
+                    stateApi.removeNode(entry.node.id);
+                } else {
+                    insertNode(structuredClone(entry.node), entry.index);
+                }
+                break;
+            case 'updateNode':
+                stateApi.updateNode(entry.nodeId, structuredClone(undo ? entry.before : entry.after));
+                break;
+            case 'addConnection':
+            case 'removeConnection':
+                if (undo === (entry.type === 'addConnection')) {
+                    stateApi.removeConnection(entry.connection.id);
+                } else {
+                    insertConnection(structuredClone(entry.connection), entry.index);
+                }
+                break;
+            case 'reorder':
+                setConnectionIndices(undo ? entry.before : entry.after);
+                break;
+            case 'treeRoot':
+                setTreeRootId(entry.treeId, undo ? entry.before : entry.after);
+                break;
+            case 'addTree':
+            case 'removeTree':
+                if (undo === (entry.type === 'addTree')) {
+                    stateApi.removeTree(entry.tree.id);
+                } else {
+                    state.trees.splice(entry.index, 0, structuredClone(entry.tree));
+                    if (entry.wasMain) state.mainTreeId = entry.tree.id;
+                    eventBus.emit(EVENTS.TREE_CHANGED, {type: 'created', treeId: entry.tree.id});
+                }
+                break;
+            case 'updateTree': {
+                const [from, to] = undo ? [entry.after, entry.before] : [entry.before, entry.after];
+                stateApi.updateTree(from.id, to);
+                break;
+            }
+            case 'mainTree':
+                stateApi.setMainTree(undo ? entry.before : entry.after);
+                break;
+            case 'addType':
+            case 'removeType':
+                if (undo === (entry.type === 'addType')) {
+                    stateApi.removeCustomNodeType(entry.nodeType.type);
+                } else {
+                    state.customNodeTypes.splice(entry.index, 0, structuredClone(entry.nodeType));
+                    eventBus.emit(EVENTS.NODE_CHANGED, {type: 'type-added', nodeType: entry.nodeType});
+                }
+                break;
+            case 'updateType': {
+                const [from, to] = undo ? [entry.after, entry.before] : [entry.before, entry.after];
+                replaceCustomNodeType(from.type, structuredClone(to));
+                break;
+            }
+            case 'document':
+                restoreDocument(undo ? entry.before : entry.after);
+                break;
+        }
+    }
+
+    function replayEntries(entries, undo) {
+        replaying = true;
+        try {
+            (undo ? [...entries].reverse() : entries).forEach(entry => applyEntry(entry, undo));
+        } finally {
+            replaying = false;
+        }
+    }
+
+    /**
+     * Get the tree entry currently shown on the canvas
+     */
+    function getActiveTree() {
+        return state.trees.find(tree => tree.id === state.activeTreeId);
+    }
+
+    /**
+     * Keep the active tree's root pointing at a top-level node.
+     * A root that gains a parent hands over to its topmost ancestor; a missing root is replaced by
+     * the parentless node with the largest subtree.
+     */
+    function ensureActiveTreeRoot() {
+        // Undo and redo restore the recorded roots themselves
+        if (replaying) return;
+
+        const tree = getActiveTree();
+        if (!tree) return;
+
+        let rootId = state.nodes.some(n => n.id === tree.rootId) ? tree.rootId : null;
+
+        if (rootId) {
+            const visited = new Set([rootId]);
+            let parentConn = state.connections.find(c => c.target === rootId);
+            while (parentConn && !visited.has(parentConn.source)) {
+                rootId = parentConn.source;
+                visited.add(rootId);
+                parentConn = state.connections.find(c => c.target === rootId);
+            }
+        } else {
+            const targetIds = new Set(state.connections.map(c => c.target));
+            const countDescendants = (nodeId, visited = new Set()) => {
+                visited.add(nodeId);
+                return state.connections
+                    .filter(c => c.source === nodeId && !visited.has(c.target))
+                    .reduce((count, c) => count + 1 + countDescendants(c.target, visited), 0);
+            };
+
+            let best = -1;
+            state.nodes
+                .filter(n => !targetIds.has(n.id))
+                .forEach(n => {
+                    const size = countDescendants(n.id);
+                    if (size > best) {
+                        best = size;
+                        rootId = n.id;
+                    }
+                });
+        }
+
+        if (rootId !== tree.rootId) {
+            record({type: 'treeRoot', before: tree.rootId, after: rootId});
+            tree.rootId = rootId;
+            eventBus.emit(EVENTS.TREE_CHANGED, {type: 'root-changed', treeId: tree.id});
+        }
+    }
+
     // State manager API
-    return {
+    const stateApi = {
         // =============== Getters ===============
         getState: () => state,
         getNodes: () => state.nodes,
@@ -115,6 +414,23 @@ export function initState() {
         getMinimap: () => state.minimap,
         getVisibleArea: () => state.visibleArea,
         getMonitor: () => state.monitor,
+        getXmlFormat: () => state.xmlFormat,
+        getTrees: () => state.trees,
+        getActiveTreeId: () => state.activeTreeId,
+        getActiveTree,
+        getMainTreeId: () => state.mainTreeId,
+
+        // Nodes and connections of any tree, whether or not it is active
+        getTreeContents: (treeId) => {
+            if (treeId === state.activeTreeId) {
+                return {nodes: state.nodes, connections: state.connections};
+            }
+            const tree = state.trees.find(t => t.id === treeId);
+            return {
+                nodes: tree && tree.nodes ? tree.nodes : [],
+                connections: tree && tree.connections ? tree.connections : []
+            };
+        },
 
         // =============== Mutations ===============
         // Mouse position
@@ -124,8 +440,10 @@ export function initState() {
 
         // Nodes
         addNode: (node) => {
+            record({type: 'addNode', node: structuredClone(node), index: state.nodes.length});
             state.nodes.push(node);
             eventBus.emit(EVENTS.NODE_CHANGED, {type: 'created', node});
+            ensureActiveTreeRoot();
             return node.id;
         },
 
@@ -143,6 +461,10 @@ export function initState() {
                 }
 
                 eventBus.emit(EVENTS.NODE_CHANGED, {type: 'deleted', node});
+                ensureActiveTreeRoot();
+
+                // Recorded after the cascaded connection removals so undo restores the node first
+                record({type: 'removeNode', node: structuredClone(node), index});
                 return true;
             }
             return false;
@@ -151,6 +473,7 @@ export function initState() {
         updateNode: (nodeId, updates) => {
             const node = state.nodes.find(n => n.id === nodeId);
             if (node) {
+                recordNodeUpdate(node, updates);
                 Object.assign(node, updates);
                 eventBus.emit(EVENTS.NODE_CHANGED, {type: 'updated', node, updates});
                 return true;
@@ -158,6 +481,17 @@ export function initState() {
             return false;
         },
 
+        // Move nodes without recording history, for animation frames whose end result is recorded separately
+        previewNodePositions: (positions) => {
+            positions.forEach(({id, x, y}) => {
+                const node = state.nodes.find(n => n.id === id);
+                if (node) {
+                    Object.assign(node, {x, y});
+                    eventBus.emit(EVENTS.NODE_CHANGED, {type: 'updated', node, updates: {x, y}});
+                }
+            });
+        },
+
         // Batch update nodes (for layout)
         batchUpdateNodes: (updates) => {
             const updatedIds = [];
@@ -165,6 +499,7 @@ export function initState() {
             updates.forEach(update => {
                 const node = state.nodes.find(n => n.id === update.id);
                 if (node) {
+                    recordNodeUpdate(node, update);
                     Object.assign(node, update);
                     updatedIds.push(node.id);
                 }
@@ -182,14 +517,36 @@ export function initState() {
 
         // Connections
         addConnection: (connection) => {
+            record({type: 'addConnection', connection: structuredClone(connection), index: state.connections.length});
             state.connections.push(connection);
             eventBus.emit(EVENTS.CONNECTION_CHANGED, {
                 type: 'created',
                 id: connection.id
             });
+            ensureActiveTreeRoot();
             return connection.id;
         },
 
+        reorderChildConnections: (parentId, connectionIds) => {
+            const before = {};
+            const after = {};
+            connectionIds.forEach((id, index) => {
+                const connection = state.connections.find(c => c.id === id && c.source === parentId);
+                if (connection && connection.index !== index) {
+                    before[id] = connection.index;
+                    after[id] = index;
+                    connection.index = index;
+                }
+            });
+            if (Object.keys(after).length > 0) {
+                record({type: 'reorder', before, after});
+            }
+
+            connectionIds.forEach(id => {
+                eventBus.emit(EVENTS.CONNECTION_CHANGED, {type: 'reordered', id});
+            });
+        },
+
         removeConnection: (connectionId) => {
             const index = state.connections.findIndex(c => c.id === connectionId);
             if (index !== -1) {
@@ -205,6 +562,8 @@ export function initState() {
                     type: 'deleted',
                     id: connection.id
                 });
+                ensureActiveTreeRoot();
+                record({type: 'removeConnection', connection: structuredClone(connection), index});
                 return true;
             }
             return false;
@@ -341,6 +700,11 @@ export function initState() {
             Object.assign(state.layout, updates);
         },
 
+        // XML format
+        setXmlFormat: (format) => {
+            state.xmlFormat = format;
+        },
+
         // Viewport
         updateViewport: (updates) => {
             Object.assign(state.viewport, updates);
@@ -363,21 +727,158 @@ export function initState() {
 
         // Custom node types
         addCustomNodeType: (nodeType) => {
+            record({type: 'addType', nodeType: structuredClone(nodeType), index: state.customNodeTypes.length}, false);
             state.customNodeTypes.push(nodeType);
             eventBus.emit(EVENTS.NODE_CHANGED, {type: 'type-added', nodeType});
         },
 
+        updateCustomNodeType: (type, updates) => {
+            const nodeType = state.customNodeTypes.find(nt => nt.type === type);
+            if (nodeType) {
+                const before = structuredClone(nodeType);
+                Object.assign(nodeType, updates);
+                record({type: 'updateType', before, after: structuredClone(nodeType)}, false);
+                eventBus.emit(EVENTS.NODE_CHANGED, {type: 'type-updated', nodeType});
+                return true;
+            }
+            return false;
+        },
+
         removeCustomNodeType: (type) => {
             const index = state.customNodeTypes.findIndex(nt => nt.type === type);
             if (index !== -1) {
                 const nodeType = state.customNodeTypes[index];
                 state.customNodeTypes.splice(index, 1);
+                record({type: 'removeType', nodeType: structuredClone(nodeType), index}, false);
                 eventBus.emit(EVENTS.NODE_CHANGED, {type: 'type-removed', nodeType});
                 return true;
             }
             return false;
         },
 
+        // Trees
+        addTree: ({id, description = ''}) => {
+            if (!id || state.trees.some(t => t.id === id)) return false;
+
+            record({type: 'addTree', tree: {id, description, rootId: null, nodes: [], connections: []}, index: state.trees.length}, false);
+            state.trees.push({id, description, rootId: null, nodes: [], connections: []});
+            eventBus.emit(EVENTS.TREE_CHANGED, {type: 'created', treeId: id});
+            return true;
+        },
+
+        updateTree: (treeId, updates) => {
+            const tree = state.trees.find(t => t.id === treeId);
+            if (!tree) return false;
+
+            const newId = updates.id !== undefined ? updates.id : treeId;
+            if (!newId || (newId !== treeId && state.trees.some(t => t.id === newId))) return false;
+
+            record({
+                type: 'updateTree',
+                before: {id: treeId, description: tree.description},
+                after: {id: newId, description: updates.description !== undefined ? updates.description : tree.description}
+            }, false);
+
+            if (updates.description !== undefined) tree.description = updates.description;
+
+            if (newId !== treeId) {
+                tree.id = newId;
+                if (state.activeTreeId === treeId) state.activeTreeId = newId;
+                if (state.mainTreeId === treeId) state.mainTreeId = newId;
+
+                // SubTree nodes in every tree follow the renamed ID
+                state.trees.forEach(t => {
+                    const nodes = t.id === state.activeTreeId ? state.nodes : (t.nodes || []);
+                    nodes
+                        .filter(n => n.category === 'subtree' && n.properties && n.properties.ID === treeId)
+                        .forEach(n => {
+                            n.properties.ID = newId;
+                        });
+                });
+            }
+
+            eventBus.emit(EVENTS.TREE_CHANGED, {type: 'updated', treeId: newId, previousId: treeId});
+            return true;
+        },
+
+        removeTree: (treeId) => {
+            const index = state.trees.findIndex(t => t.id === treeId);
+            if (index === -1 || state.trees.length === 1) return false;
+
+            if (state.activeTreeId === treeId) {
+                const fallback = state.trees[index === 0 ? 1 : index - 1];
+                stateApi.setActiveTree(fallback.id);
+            }
+
+            const wasMain = state.mainTreeId === treeId;
+            record({type: 'removeTree', tree: structuredClone(state.trees[index]), index, wasMain}, false);
+
+            state.trees.splice(index, 1);
+            if (wasMain) {
+                state.mainTreeId = state.trees[0].id;
+            }
+
+            eventBus.emit(EVENTS.TREE_CHANGED, {type: 'deleted', treeId});
+            return true;
+        },
+
+        setActiveTree: (treeId) => {
+            const target = state.trees.find(t => t.id === treeId);
+            if (!target || treeId === state.activeTreeId) return false;
+
+            // Park the current tree together with its viewport
+            const current = getActiveTree();
+            const {scale, offsetX, offsetY} = state.viewport;
+            Object.assign(current, {
+                nodes: state.nodes,
+                connections: state.connections,
+                viewport: {scale, offsetX, offsetY}
+            });
+
+            state.nodes = target.nodes || [];
+            state.connections = target.connections || [];
+            if (target.viewport) Object.assign(state.viewport, target.viewport);
+            delete target.nodes;
+            delete target.connections;
+            delete target.viewport;
+
+            state.activeTreeId = treeId;
+            state.selectedNodes = [];
+            state.selectedConnection = null;
+            state.pendingConnection = null;
+            ensureActiveTreeRoot();
+
+            eventBus.emit(EVENTS.TREE_CHANGED, {type: 'activated', treeId});
+            eventBus.emit(EVENTS.SELECTION_CHANGED, {nodes: state.selectedNodes});
+            return true;
+        },
+
+        setMainTree: (treeId) => {
+            if (!state.trees.some(t => t.id === treeId)) return false;
+
+            if (treeId !== state.mainTreeId) {
+                record({type: 'mainTree', before: state.mainTreeId, after: treeId}, false);
+            }
+            state.mainTreeId = treeId;
+            eventBus.emit(EVENTS.TREE_CHANGED, {type: 'updated', treeId});
+            return true;
+        },
+
+        setTreeRoot: (nodeId) => {
+            const tree = getActiveTree();
+            if (!tree || !state.nodes.some(n => n.id === nodeId)) return false;
+
+            // Only a top-level node can be the root
+            if (state.connections.some(c => c.target === nodeId)) return false;
+
+            if (tree.rootId !== nodeId) {
+                record({type: 'treeRoot', before: tree.rootId, after: nodeId});
+            }
+            tree.rootId = nodeId;
+            eventBus.emit(EVENTS.TREE_CHANGED, {type: 'root-changed', treeId: tree.id});
+            return true;
+        },
+
         // Category collapse state
         toggleCategoryCollapse: (category) => {
             state.collapsedCategories[category] = !state.collapsedCategories[category];
@@ -386,7 +887,8 @@ export function initState() {
         // State management
         resetState: () => {
             // Preserve some settings like grid and viewport
-            const {grid, viewport, layout, customNodeTypes, collapsedCategories} = state;
+            const {grid, viewport, layout, customNodeTypes, collapsedCategories, xmlFormat} = state;
+            const before = snapshotDocument();
 
             // Reset to initial state
             state = structuredClone(initialState);
@@ -397,7 +899,12 @@ export function initState() {
             state.layout = layout;
             state.customNodeTypes = customNodeTypes;
             state.collapsedCategories = collapsedCategories;
+            state.xmlFormat = xmlFormat;
             state.idCounters = {nodes: 0, connections: 0};
+            state.trees = structuredClone(initialState.trees);
+
+            // Clearing can be undone
+            record({type: 'document', before, after: snapshotDocument()}, false);
 
             eventBus.emit(EVENTS.STATE_RESET);
         },
@@ -407,20 +914,40 @@ export function initState() {
             const baseState = structuredClone(initialState);
 
             // 只覆盖我们想要从加载的数据中更新的属性
-            if (newState.nodes) baseState.nodes = newState.nodes;
-            if (newState.connections) baseState.connections = newState.connections;
+            if (newState.trees && newState.trees.length > 0) {
+                // Every tree entry carries its own nodes and connections; the active one moves onto the canvas
+                baseState.trees = newState.trees.map(tree => ({...tree}));
+                const activeTree = baseState.trees.find(t => t.id === newState.activeTreeId) || baseState.trees[0];
+                baseState.activeTreeId = activeTree.id;
+                baseState.nodes = activeTree.nodes || [];
+                baseState.connections = activeTree.connections || [];
+                delete activeTree.nodes;
+                delete activeTree.connections;
+                delete activeTree.viewport;
+
+                baseState.mainTreeId = baseState.trees.some(t => t.id === newState.mainTreeId) ?
+                    newState.mainTreeId : baseState.trees[0].id;
+            } else {
+                if (newState.nodes) baseState.nodes = newState.nodes;
+                if (newState.connections) baseState.connections = newState.connections;
+            }
             if (newState.customNodeTypes) baseState.customNodeTypes = newState.customNodeTypes;
             if (newState.collapsedCategories) baseState.collapsedCategories = newState.collapsedCategories;
             if (newState.grid) baseState.grid = newState.grid;
 
-            // 保留当前视口设置
+            // 保留当前视口设置和XML格式
             baseState.viewport = state.viewport;
+            baseState.xmlFormat = state.xmlFormat;
 
             // 设置ID计数器
             if (newState.idCounters) baseState.idCounters = newState.idCounters;
 
             // 更新状态
             state = baseState;
+            ensureActiveTreeRoot();
+
+            // A loaded document starts a new history
+            history.clear();
 
             eventBus.emit(EVENTS.STATE_LOADED);
         },
@@ -437,6 +964,28 @@ export function initState() {
 
         updateNodeMonitorState: (nodeId, status) => {
             state.monitor.nodeStates[nodeId] = status;
-        }
+        },
+
+        // =============== Undo history ===============
+        undo: () => history.undo(entries => replayEntries(entries, true)),
+        redo: () => history.redo(entries => replayEntries(entries, false)),
+        canUndo: () => history.canUndo(),
+        canRedo: () => history.canRedo(),
+
+        // Labels of all steps, oldest first, and how many of them are applied
+        getHistory: () => history.getSteps(),
+
+        // Undo or redo until `position` steps are applied
+        jumpToHistory: (position) => {
+            let current = history.getSteps().position;
+            while (current > position && stateApi.undo()) current--;
+            while (current < position && stateApi.redo()) current++;
+        },
+
+        // Everything between begin and end becomes one undo step, even across events and frames
+        beginHistoryGroup: (label) => history.beginGroup(label),
+        endHistoryGroup: () => history.endGroup()
     };
-}
\ No newline at end of file
+
+    return stateApi;
+}
@@ -0,0 +1,127 @@
+/**
+ * BehaviorTree.CPP XML格式版本定义
+ * 描述v3与v4之间节点标签和属性名称的差异，供导入导出时相互转换:
+ * - 重命名的节点类型 (如 SequenceStar -> SequenceWithMemory)
+ * - 重命名的属性 (如 Parallel 的 success_threshold -> success_count)
+ * - 只存在于某一版本、无法转换的节点类型
+ * - v3 中 <Action ID="..."> 形式的包装标签
+ */
+
+export const BTCPP_FORMATS = ['4', '3'];
+
+// v3节点类型 -> v4节点类型
+const V3_TO_V4_TYPES = {
+    SequenceStar: 'SequenceWithMemory',
+    RetryUntilSuccesful: 'RetryUntilSuccessful',
+    SubTreePlus: 'SubTree'
+};
+
+// v4节点类型 -> v3节点类型
+const V4_TO_V3_TYPES = Object.fromEntries(
+    Object.entries(V3_TO_V4_TYPES)
+        .filter(([v3Type]) => v3Type !== 'SubTreePlus')
+        .map(([v3Type, v4Type]) => [v4Type, v3Type])
+);
+
+// 按v4节点类型分组的属性重命名: v3属性名 -> v4属性名
+const V3_TO_V4_ATTRIBUTES = {
+    Parallel: {
+        success_threshold: 'success_count',
+        failure_threshold: 'failure_count'
+    },
+    SubTree: {
+        __autoremap: '_autoremap'
+    }
+};
+
+// v3中没有对应实现的v4节点类型
+const V4_ONLY_TYPES = [
+    'ParallelAll',
+    'RunOnce',
+    'Script',
+    'ScriptCondition',
+    'Sleep',
+    'Precondition',
+    'SkipUnlessUpdated',
+    'WaitValueUpdate',
+    'EntryUpdated',
+    'WasEntryUpdated',
+    'LoopInt',
+    'LoopDouble',
+    'LoopString',
+    'LoopBool'
+];
+
+// v4中已移除的v3节点类型
+const V3_ONLY_TYPES = [
+    'FallbackStar',
+    'BlackboardCheckInt',
+    'BlackboardCheckDouble',
+    'BlackboardCheckString'
+];
+
+// v3中 <Action ID="..."> 形式的包装标签及对应类别
+export const V3_WRAPPER_TAGS = {
+    Action: 'action',
+    Condition: 'condition',
+    Decorator: 'decorator',
+    Control: 'composite'
+};
+
+/**
+ * 获取节点类别在v3中对应的包装标签
+ * @param {string} category - 节点类别
+ * @returns {string|null} - 包装标签，如Action
+ */
+export function getV3WrapperTag(category) {
+    return Object.keys(V3_WRAPPER_TAGS).find(tag => V3_WRAPPER_TAGS[tag] === category) || null;
+}
+
+/**
+ * 将v3节点类型转换为v4节点类型
+ * @param {string} type - v3节点类型
+ * @returns {{type: string, supported: boolean}} - 转换后的类型以及v4是否支持
+ */
+export function convertTypeFromV3(type) {
+    return {
+        type: V3_TO_V4_TYPES[type] || type,
+        supported: !V3_ONLY_TYPES.includes(type)
+    };
+}
+
+/**
+ * 将v4节点类型转换为v3节点类型
+ * @param {string} type - v4节点类型
+ * @returns {{type: string, supported: boolean}} - 转换后的类型以及v3是否支持
+ */
+export function convertTypeToV3(type) {
+    return {
+        type: V4_TO_V3_TYPES[type] || type,
+        supported: !V4_ONLY_TYPES.includes(type)
+    };
+}
+
+/**
+ * 将v3属性名转换为v4属性名
+ * @param {string} v4Type - 已转换为v4的节点类型
+ * @param {string} name - v3属性名
+ * @returns {string} - v4属性名
+ */
+export function convertAttributeFromV3(v4Type, name) {
+    const renames = V3_TO_V4_ATTRIBUTES[v4Type];
+    return renames && renames[name] ? renames[name] : name;
+}
+
+/**
+ * 将v4属性名转换为v3属性名
+ * @param {string} v4Type - v4节点类型
+ * @param {string} name - v4属性名
+ * @returns {string} - v3属性名
+ */
+export function convertAttributeToV3(v4Type, name) {
+    const renames = V3_TO_V4_ATTRIBUTES[v4Type];
+    if (!renames) return name;
+
+    const v3Name = Object.keys(renames).find(key => renames[key] === name);
+    return v3Name || name;
+}
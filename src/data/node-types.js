@@ -14,6 +14,7 @@
  * - description: 节点描述
  * - properties: 节点可编辑属性
  * - maxChildren: 最大子节点数量 (null表示无限制)
+ * - minChildren: 最少子节点数量（可选，默认由canBeChildless决定为0或1）
  * - canBeChildless: 是否可以没有子节点
  */
 
@@ -87,6 +88,7 @@ export const NODE_TYPES = {
         builtin: true,
         description: '必须有2或3个子节点。第一个子节点是条件，如果返回SUCCESS，则执行第二个子节点；如果返回FAILURE，则执行第三个子节点。',
         properties: [],
+        minChildren: 2,
         maxChildren: 3,
         canBeChildless: false
     }, {
@@ -95,6 +97,7 @@ export const NODE_TYPES = {
         builtin: true,
         description: '必须有2或3个子节点。第一个子节点是条件判断，每次tick都会执行。如果返回SUCCESS，执行第二个子节点；如果返回FAILURE，执行第三个子节点。',
         properties: [],
+        minChildren: 2,
         maxChildren: 3,
         canBeChildless: false
     }, {
@@ -570,4 +573,179 @@ export function getNodeDefinition(type, category) {
     }
 
     return null;
-}
\ No newline at end of file
+}
+
+/**
+ * TreeNodesModel中的元素标签与节点类别的对应关系
+ * 同时兼容旧版导出格式 <Node NodeType="Composite"/>
+ */
+const MODEL_TAG_CATEGORIES = {
+    Action: 'action',
+    Condition: 'condition',
+    Decorator: 'decorator',
+    Control: 'composite',
+    Composite: 'composite',
+    SubTree: 'subtree'
+};
+
+/**
+ * 端口方向与TreeNodesModel中端口元素标签的对应关系
+ */
+export const PORT_DIRECTION_TAGS = {
+    input: 'input_port',
+    output: 'output_port',
+    inout: 'inout_port'
+};
+
+/**
+ * 根据TreeNodesModel中的标签获取节点类别
+ * @param {string} tag - 模型元素标签，如Action、Control
+ * @returns {string|null} - 节点类别或null
+ */
+export function getCategoryForModelTag(tag) {
+    return MODEL_TAG_CATEGORIES[tag] || null;
+}
+
+/**
+ * 获取节点类别在TreeNodesModel中对应的元素标签
+ * @param {string} category - 节点类别
+ * @returns {string|null} - 模型元素标签，如Action、Control
+ */
+export function getModelTagForCategory(category) {
+    return Object.keys(MODEL_TAG_CATEGORIES).find(tag => MODEL_TAG_CATEGORIES[tag] === category) || null;
+}
+
+/**
+ * 未指定端口类型时，根据属性类型推断C++端口类型
+ * @param {string} propertyType - 属性类型
+ * @returns {string} - 端口类型
+ */
+export function getDefaultPortType(propertyType) {
+    switch (propertyType) {
+        case 'number':
+            return 'double';
+        case 'boolean':
+            return 'bool';
+        default:
+            return 'std::string';
+    }
+}
+
+/**
+ * 根据C++端口类型推断编辑器中的属性类型
+ * @param {string} portType - 端口类型，如 int、bool、std::string
+ * @returns {string} - 属性类型
+ */
+export function getPropertyTypeForPort(portType) {
+    const baseType = (portType || '').replace(/^std::/, '');
+
+    if (baseType === 'bool') return 'boolean';
+    if (/^(u?int(8|16|32|64)?(_t)?|unsigned( int)?|long|short|size_t|float|double)$/.test(baseType)) {
+        return 'number';
+    }
+    return 'string';
+}
+
+/**
+ * 在内置节点类型和给定的自定义节点类型中查找节点定义，不要求事先知道类别
+ * @param {string} type - 节点类型
+ * @param {Array} customNodeTypes - 自定义节点类型列表
+ * @returns {Object|null} - 节点定义（含category字段）或null
+ */
+export function findNodeDefinitionByType(type, customNodeTypes = []) {
+    for (const [category, nodeTypes] of Object.entries(NODE_TYPES)) {
+        const builtInType = nodeTypes.find(nt => nt.type === type);
+        if (builtInType) return {...builtInType, category};
+    }
+
+    return customNodeTypes.find(nt => nt.type === type) || null;
+}
+
+/**
+ * 子节点数量由节点属性决定的节点类型
+ * count返回该节点需要的子节点数量，reason说明数量的来源
+ */
+const CHILD_COUNT_FROM_PROPERTIES = {
+    // 导出XML时空属性会被省略，因此只有设置了值的case_N才对应一个分支
+    Switch: {
+        count: node => Object.entries(node.properties || {})
+            .filter(([name, value]) => /^case_\d+$/.test(name) && value !== undefined && value !== null && String(value).trim() !== '')
+            .length + 1,
+        reason: '每个已设置的case_N对应一个子节点，另加一个默认分支'
+    }
+};
+
+/**
+ * 获取节点类型允许的最大子节点数量，类型未定义该约束时使用其类别的默认约束
+ * @param {string} type - 节点类型
+ * @param {string} category - 节点类别，类型未定义时使用
+ * @param {Array} customNodeTypes - 自定义节点类型列表
+ * @param {Object} [properties] - 节点属性，子节点数量由属性决定时使用，省略时按类型的默认属性计算
+ * @returns {number|null} - 最大子节点数量，null表示无限制
+ */
+export function getMaxChildrenForType(type, category, customNodeTypes = [], properties = null) {
+    const nodeDef = findNodeDefinitionByType(type, customNodeTypes);
+
+    const fromProperties = CHILD_COUNT_FROM_PROPERTIES[type];
+    if (fromProperties) {
+        const defaults = Object.fromEntries(((nodeDef && nodeDef.properties) || []).map(prop => [prop.name, prop.default]));
+        return fromProperties.count({properties: properties || defaults});
+    }
+
+    if (nodeDef && nodeDef.maxChildren !== undefined) {
+        return nodeDef.maxChildren;
+    }
+    return getDefaultConstraintsForCategory(nodeDef ? nodeDef.category : category).maxChildren;
+}
+
+/**
+ * 获取一个节点的子节点数量约束，综合节点类型定义、类别默认约束和由属性决定的子节点数量
+ * @param {Object} node - 节点，需要type、category和properties
+ * @param {Array} customNodeTypes - 自定义节点类型列表
+ * @returns {Object} - 包含minChildren、maxChildren（null表示无限制）、canBeChildless，以及可选的reason
+ */
+export function getChildConstraints(node, customNodeTypes = []) {
+    const fromProperties = CHILD_COUNT_FROM_PROPERTIES[node.type];
+    if (fromProperties) {
+        const count = fromProperties.count(node);
+        return {minChildren: count, maxChildren: count, canBeChildless: false, reason: fromProperties.reason};
+    }
+
+    const nodeDef = findNodeDefinitionByType(node.type, customNodeTypes);
+    const defaults = getDefaultConstraintsForCategory(nodeDef ? nodeDef.category : node.category);
+
+    const maxChildren = nodeDef && nodeDef.maxChildren !== undefined ? nodeDef.maxChildren : defaults.maxChildren;
+    const canBeChildless = nodeDef && nodeDef.canBeChildless !== undefined ? nodeDef.canBeChildless : defaults.canBeChildless;
+    const minChildren = nodeDef && nodeDef.minChildren !== undefined ? nodeDef.minChildren : (canBeChildless ? 0 : 1);
+
+    return {minChildren, maxChildren, canBeChildless};
+}
+
+/**
+ * 检查节点的子节点数量是否符合约束
+ * @param {Object} node - 节点
+ * @param {number} childCount - 子节点数量
+ * @param {Array} customNodeTypes - 自定义节点类型列表
+ * @returns {string|null} - 不符合时返回说明，符合时返回null
+ */
+export function describeChildCountProblem(node, childCount, customNodeTypes = []) {
+    const {minChildren, maxChildren, reason} = getChildConstraints(node, customNodeTypes);
+    const suffix = reason ? `（${reason}）` : '';
+
+    if (childCount >= minChildren && (maxChildren === null || childCount <= maxChildren)) {
+        return null;
+    }
+    if (minChildren === maxChildren) {
+        return maxChildren === 0 ?
+            `"${node.name}" 不能有子节点，当前有${childCount}个。` :
+            `"${node.name}" 需要正好${minChildren}个子节点，当前有${childCount}个${suffix}。`;
+    }
+    if (childCount < minChildren) {
+        return childCount === 0 ?
+            `"${node.name}" 必须有子节点。` :
+            `"${node.name}" 至少需要${minChildren}个子节点，当前有${childCount}个${suffix}。`;
+    }
+    return maxChildren === 0 ?
+        `"${node.name}" 不能有子节点，当前有${childCount}个。` :
+        `"${node.name}" 最多只能有${maxChildren}个子节点，当前有${childCount}个${suffix}。`;
+}
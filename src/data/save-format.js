@@ -0,0 +1,130 @@
+/**
+ * 编辑器JSON保存格式的版本与迁移
+ * 每次修改保存的数据结构时，递增SAVE_FORMAT_VERSION并在MIGRATIONS中添加从上一版本升级的函数:
+ * - 版本1: 最初的格式，没有formatVersion字段
+ * - 版本2: 连接上保存子节点顺序index
+ * - 版本3: 多棵行为树，节点带treeId，另存trees和mainTreeId
+ */
+import {config} from '../core/config.js';
+import {assignMissingChildIndices} from '../utils/helpers.js';
+
+export const SAVE_FORMAT_VERSION = 3;
+
+// 键为源版本，函数将该版本的数据升级到下一版本
+const MIGRATIONS = {
+    1: (data) => {
+        assignMissingChildIndices(data.nodes, data.connections);
+        return data;
+    },
+    // 旧版本把每个没有父节点的节点作为一棵单独的行为树导出，迁移时每个相连的部分各成一棵树，
+    // 节点最多的一棵作为主树
+    2: (data) => {
+        const groups = findConnectedGroups(data.nodes, data.connections);
+        const main = groups.reduce((largest, group) => group.length > largest.length ? group : largest, groups[0] || []);
+        const usedIds = [config.trees.defaultTreeId];
+        const targetIds = new Set(data.connections.map(conn => conn.target));
+
+        data.trees = groups.map(group => {
+            const roots = group.filter(node => !targetIds.has(node.id));
+            const id = group === main ? config.trees.defaultTreeId : generateTreeId(roots[0], usedIds);
+
+            group.forEach(node => {
+                node.treeId = id;
+            });
+            return {id, description: '', rootId: roots.length === 1 ? roots[0].id : null};
+        });
+
+        if (data.trees.length === 0) {
+            data.trees = [{id: config.trees.defaultTreeId, description: '', rootId: null}];
+        }
+        data.mainTreeId = config.trees.defaultTreeId;
+        return data;
+    }
+};
+
+/**
+ * 把节点按连接分组，连接两端的节点属于同一组，组的顺序和组内节点的顺序与原数组一致
+ * @returns {Array} - 节点数组的数组
+ */
+function findConnectedGroups(nodes, connections) {
+    const grouped = new Set();
+    const groups = [];
+
+    nodes.forEach(start => {
+        if (grouped.has(start.id)) return;
+
+        const groupIds = new Set([start.id]);
+        const pending = [start.id];
+        while (pending.length > 0) {
+            const id = pending.pop();
+            connections
+                .filter(conn => conn.source === id || conn.target === id)
+                .map(conn => conn.source === id ? conn.target : conn.source)
+                .filter(otherId => !groupIds.has(otherId))
+                .forEach(otherId => {
+                    groupIds.add(otherId);
+                    pending.push(otherId);
+                });
+        }
+
+        const group = nodes.filter(node => groupIds.has(node.id));
+        groupIds.forEach(id => grouped.add(id));
+        groups.push(group);
+    });
+
+    return groups;
+}
+
+/**
+ * 由根节点名称生成未使用的树ID，与旧版本导出时以根节点名称作为树ID一致
+ */
+function generateTreeId(root, usedIds) {
+    const name = root ? (root.name || '').replace(/[^\w.-]/g, '') : '';
+    const base = name || 'Tree';
+
+    let id = base;
+    let index = 2;
+    while (usedIds.includes(id)) id = `${base}${index++}`;
+
+    usedIds.push(id);
+    return id;
+}
+
+/**
+ * 读取保存数据的格式版本，没有版本字段的旧文件视为版本1
+ * @param {Object} data - 保存的数据
+ * @returns {number} - 格式版本
+ */
+export function getSaveFormatVersion(data) {
+    return data.formatVersion === undefined ? 1 : data.formatVersion;
+}
+
+/**
+ * 将保存的数据逐版本升级到当前格式
+ * @param {Object} data - 保存的数据（会被原地修改）
+ * @returns {Object} - 升级后的数据
+ * @throws {Error} - 版本无效或文件来自更新版本的编辑器
+ */
+export function migrateSaveData(data) {
+    let version = getSaveFormatVersion(data);
+
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`无效的格式版本: ${version}`);
+    }
+
+    if (version > SAVE_FORMAT_VERSION) {
+        throw new Error(`该文件由更新版本的编辑器保存（格式版本 ${version}，当前最高支持 ${SAVE_FORMAT_VERSION}），请升级编辑器后再打开`);
+    }
+
+    if (!Array.isArray(data.nodes) || !Array.isArray(data.connections)) {
+        throw new Error('缺少nodes或connections');
+    }
+
+    while (version < SAVE_FORMAT_VERSION) {
+        data = MIGRATIONS[version](data);
+        version++;
+    }
+
+    data.formatVersion = SAVE_FORMAT_VERSION;
+    return data;
+}
@@ -12,12 +12,21 @@ import {initNodes} from './modules/nodes.js';
 import {initConnections} from './modules/connections.js';
 import {initLayout} from './modules/layout.js';
 import {initMinimap} from './components/minimap.js';
+import {initValidation} from './modules/validation.js';
 import {initSerialization} from './modules/serialization.js';
+import {initClipboard} from './modules/clipboard.js';
+import {initMerge} from './modules/merge.js';
+import {initSubtrees} from './modules/subtrees.js';
+import {initWrap} from './modules/wrap.js';
 import {initMonitor} from './modules/monitor.js';
 import {initToolbar} from './components/toolbar.js';
 import {initDockPanel} from './components/dock-panel.js';
 import {initPropertiesPanel} from './components/properties.js';
 import {initDialogs} from './components/dialogs.js';
+import {initTreeSwitcher} from './components/tree-switcher.js';
+import {initHistoryPanel} from './components/history-panel.js';
+import {initProblemsPanel} from './components/problems-panel.js';
+import {initBreadcrumb} from './components/breadcrumb.js';
 import {setupKeyboardShortcuts} from './utils/helpers.js';
 
 // Create global logger
@@ -69,6 +78,9 @@ function init() {
         // Initialize renderer
         const renderer = initRenderer(elements, state);
 
+        // Validation rules are shared by serialization and the editor UI
+        const validation = initValidation(elements, state);
+
         // Initialize modules
         const modules = {
             viewport: initViewport(elements, state, renderer),
@@ -77,14 +89,23 @@ function init() {
             connections: initConnections(elements, state, renderer),
             layout: initLayout(elements, state, renderer),
             minimap: initMinimap(elements, state, renderer),
-            serialization: initSerialization(elements, state),
+            validation,
+            serialization: initSerialization(elements, state, validation),
             monitor: initMonitor(elements, state, renderer)
         };
+        modules.clipboard = initClipboard(elements, state, renderer, modules.serialization);
+        modules.merge = initMerge(elements, state, modules.serialization);
+        modules.subtrees = initSubtrees(elements, state, renderer, modules.connections);
+        modules.wrap = initWrap(elements, state, renderer, modules.nodes, modules.connections);
 
         // Initialize UI components
         const components = {
             toolbar: initToolbar(elements, state),
-            dockPanel: initDockPanel(elements, state, modules.nodes),
+            treeSwitcher: initTreeSwitcher(elements, state),
+            historyPanel: initHistoryPanel(elements, state),
+            problemsPanel: initProblemsPanel(elements, state, modules.validation, modules.viewport),
+            breadcrumb: initBreadcrumb(elements, state, modules.subtrees),
+            dockPanel: initDockPanel(elements, state, modules.nodes, modules.serialization),
             propertiesPanel: initPropertiesPanel(elements, state, renderer),
             dialogs: initDialogs(elements, state)
         };
@@ -117,6 +138,8 @@ function init() {
 }
 
 // Display user-friendly error notification
+// Messages are shown as plain text, so names and IDs from loaded files cannot inject markup;
+// pass an array to show several messages on separate lines
 export function showErrorToast(message) {
     // Remove existing toasts
     document.querySelectorAll('.error-notification').forEach(toast => toast.remove());
@@ -125,10 +148,16 @@ export function showErrorToast(message) {
     toast.className = 'error-notification';
     toast.innerHTML = `
     <div class="error-icon">⚠️</div>
-    <div class="error-message">${message}</div>
+    <div class="error-message"></div>
     <div class="error-close">×</div>
   `;
 
+    const messageEl = toast.querySelector('.error-message');
+    (Array.isArray(message) ? message : [message]).forEach((line, index) => {
+        if (index > 0) messageEl.appendChild(document.createElement('br'));
+        messageEl.appendChild(document.createTextNode(line));
+    });
+
     document.body.appendChild(toast);
 
     // Automatically remove after 5 seconds
@@ -0,0 +1,261 @@
+/**
+ * Clipboard Module - Copy, cut and paste of node selections
+ * The selection is also put on the system clipboard as BehaviorTree.CPP XML,
+ * so snippets can be exchanged with XML files and other editors.
+ */
+import {logger} from '../utils/logger.js';
+import {eventBus, EVENTS} from '../core/events.js';
+import {showErrorToast} from '../index.js';
+import {getChildConnections} from '../utils/helpers.js';
+
+export function initClipboard(elements, state, renderer, serialization) {
+    const stateManager = state;
+
+    // Last copied selection; pasting it again keeps exact positions and properties
+    let clipboard = null;
+
+    // Last cursor position over the canvas, in screen coordinates relative to the canvas
+    let cursorPosition = null;
+
+    /**
+     * Collect the selected nodes and the connections between them
+     * @returns {Object|null} - {nodes, connections, xml}, or null when nothing is selected
+     */
+    function collectSelection() {
+        const selectedIds = stateManager.getSelectedNodes();
+        if (selectedIds.length === 0) return null;
+
+        const nodes = stateManager.getNodes()
+            .filter(node => selectedIds.includes(node.id))
+            .map(node => structuredClone(node));
+        const connections = stateManager.getConnections()
+            .filter(conn => selectedIds.includes(conn.source) && selectedIds.includes(conn.target))
+            .map(conn => structuredClone(conn));
+
+        const warnings = [];
+        const xml = serialization.generateNodesXml(nodes, connections, stateManager.getXmlFormat(), warnings);
+        warnings.forEach(warning => logger.warn(warning));
+
+        return {nodes, connections, xml};
+    }
+
+    /**
+     * Keep the selection in the internal clipboard
+     * @returns {string|null} - XML of the selected nodes
+     */
+    function storeSelection() {
+        const selection = collectSelection();
+        if (!selection) return null;
+
+        clipboard = selection;
+        logger.debug(`Copied ${selection.nodes.length} nodes`);
+        return selection.xml;
+    }
+
+    /**
+     * Put XML on the system clipboard outside of a clipboard event
+     */
+    function writeSystemClipboard(xml) {
+        if (!navigator.clipboard || !navigator.clipboard.writeText) return;
+
+        navigator.clipboard.writeText(xml).catch(error => {
+            logger.warn('Writing the system clipboard failed:', error);
+        });
+    }
+
+    /**
+     * Copy the selection
+     * @returns {string|null} - XML of the copied nodes
+     */
+    function copySelection() {
+        const xml = storeSelection();
+        if (xml !== null) {
+            writeSystemClipboard(xml);
+        }
+        return xml;
+    }
+
+    /**
+     * Copy the selection, then delete it
+     * @returns {string|null} - XML of the cut nodes
+     */
+    function cutSelection() {
+        const xml = copySelection();
+        if (xml !== null) {
+            eventBus.emit(EVENTS.TOOLBAR_ACTION, {action: 'delete-selected'});
+        }
+        return xml;
+    }
+
+    /**
+     * Paste nodes at the cursor
+     * @param {string|null} text - Clipboard text; XML not copied by this editor is parsed as a BehaviorTree.CPP snippet
+     * @returns {Array} - IDs of the pasted nodes
+     */
+    function pasteText(text) {
+        let data = clipboard;
+
+        if (text && (!clipboard || text.trim() !== clipboard.xml.trim())) {
+            try {
+                data = serialization.parseXmlSnippet(text);
+            } catch (error) {
+                logger.warn('Clipboard text is not a behavior tree snippet:', error);
+                // Plain text that is not XML at all is ignored silently
+                if (text.trim().startsWith('<')) {
+                    showErrorToast('无法粘贴XML: ' + error.message);
+                }
+                return [];
+            }
+
+            const messages = [...data.warnings];
+            if (data.unknownTypes.length > 0) {
+                messages.push(`以下节点类型未定义，已根据子节点数量推断类别: ${data.unknownTypes.join(', ')}`);
+            }
+            if (messages.length > 0) {
+                showErrorToast(messages);
+            }
+        }
+
+        if (!data || data.nodes.length === 0) return [];
+
+        return insertNodes(data.nodes, data.connections);
+    }
+
+    /**
+     * Paste from the system clipboard, falling back to the internal clipboard
+     * when the Clipboard API is unavailable or reading is not permitted
+     * @returns {Promise<Array>} - IDs of the pasted nodes
+     */
+    async function pasteClipboard() {
+        let text = null;
+        if (navigator.clipboard && navigator.clipboard.readText) {
+            try {
+                text = await navigator.clipboard.readText();
+            } catch (error) {
+                logger.warn('Reading the system clipboard failed:', error);
+            }
+        }
+        return pasteText(text);
+    }
+
+    /**
+     * Add copies of nodes with new IDs, the top-left of their bounding box at the cursor
+     */
+    function insertNodes(nodes, connections) {
+        const target = getPasteTarget();
+        const minX = Math.min(...nodes.map(node => node.x));
+        const minY = Math.min(...nodes.map(node => node.y));
+        const grid = stateManager.getGrid();
+        const snap = value => grid.snap ? Math.round(value / grid.size) * grid.size : value;
+        const offsetX = snap(target.x) - minX;
+        const offsetY = snap(target.y) - minY;
+
+        const idMap = new Map();
+        nodes.forEach(node => {
+            const newNode = structuredClone(node);
+            delete newNode.treeId;
+            newNode.id = stateManager.generateNodeId();
+            newNode.x = node.x + offsetX;
+            newNode.y = node.y + offsetY;
+            idMap.set(node.id, newNode.id);
+            stateManager.addNode(newNode);
+        });
+
+        // Children copied without some of their siblings are renumbered so the order has no gaps
+        const pastedConnections = connections.filter(conn => idMap.has(conn.source) && idMap.has(conn.target));
+        [...new Set(pastedConnections.map(conn => conn.source))].forEach(sourceId => {
+            getChildConnections(pastedConnections, sourceId).forEach((conn, index) => {
+                stateManager.addConnection({
+                    id: stateManager.generateConnectionId(),
+                    source: idMap.get(conn.source),
+                    target: idMap.get(conn.target),
+                    index
+                });
+            });
+        });
+
+        const pastedIds = [...idMap.values()];
+        stateManager.selectNodes(pastedIds);
+        renderer.requestFullRender();
+
+        logger.debug(`Pasted ${pastedIds.length} nodes`);
+        return pastedIds;
+    }
+
+    /**
+     * Paste position in world coordinates: the cursor, or the canvas center
+     * when the cursor has not been over the canvas yet
+     */
+    function getPasteTarget() {
+        if (cursorPosition) {
+            return renderer.screenToWorld(cursorPosition.x, cursorPosition.y);
+        }
+
+        const rect = elements.canvas.getBoundingClientRect();
+        return renderer.screenToWorld(rect.width / 2, rect.height / 2);
+    }
+
+    /**
+     * Clipboard events are left to the browser while editing text
+     */
+    function isEditingText() {
+        const active = document.activeElement;
+        return Boolean(active && active.matches('input, textarea, select, [contenteditable="true"]'));
+    }
+
+    /**
+     * Set up event listeners
+     */
+    function setupEventListeners() {
+        elements.canvas.addEventListener('mousemove', (e) => {
+            const rect = elements.canvas.getBoundingClientRect();
+            cursorPosition = {x: e.clientX - rect.left, y: e.clientY - rect.top};
+        });
+
+        document.addEventListener('copy', (e) => {
+            if (isEditingText() || hasTextSelection()) return;
+
+            const xml = storeSelection();
+            if (xml !== null) {
+                e.clipboardData.setData('text/plain', xml);
+                e.preventDefault();
+            }
+        });
+
+        document.addEventListener('cut', (e) => {
+            if (isEditingText() || hasTextSelection()) return;
+
+            const xml = storeSelection();
+            if (xml !== null) {
+                e.clipboardData.setData('text/plain', xml);
+                e.preventDefault();
+                eventBus.emit(EVENTS.TOOLBAR_ACTION, {action: 'delete-selected'});
+            }
+        });
+
+        document.addEventListener('paste', (e) => {
+            if (isEditingText()) return;
+
+            e.preventDefault();
+            pasteText(e.clipboardData ? e.clipboardData.getData('text/plain') : null);
+        });
+    }
+
+    /**
+     * Text selected in the page (e.g. in the XML preview) is copied as text
+     */
+    function hasTextSelection() {
+        const selection = window.getSelection();
+        return Boolean(selection && !selection.isCollapsed);
+    }
+
+    // Initialize
+    setupEventListeners();
+
+    // Return public API
+    return {
+        copySelection,
+        cutSelection,
+        pasteClipboard
+    };
+}
@@ -3,25 +3,55 @@
  */
 import {eventBus, EVENTS} from '../core/events.js';
 import {logger} from '../utils/logger.js';
+import {getChildConnections} from '../utils/helpers.js';
+import {getActiveDrag} from '../utils/drag.js';
+import {getChildConstraints, getMaxChildrenForType} from '../data/node-types.js';
+import {showErrorToast} from '../index.js';
+
+// How long a rejected connection's message stays next to the node, in milliseconds
+const FEEDBACK_DURATION = 2500;
 
 export function initConnections(elements, state, renderer) {
     const stateManager = state;
 
     /**
      * Create a new connection
+     * @param {string} sourceId - Parent node ID
+     * @param {string} targetId - Child node ID
+     * @param {number|null} index - Position among the parent's children, appended when omitted
+     * @returns {string|null} - Connection ID, null when the connection would give the child a second
+     *   parent or create a cycle
      */
-    function createConnection(sourceId, targetId) {
+    function createConnection(sourceId, targetId, index = null) {
+        // Every node has at most one parent and a node can never be its own ancestor
+        const problem = getConnectionProblem(sourceId, targetId);
+        if (problem) {
+            logger.warn(`Connection rejected: ${sourceId} -> ${targetId}: ${problem}`);
+            showInvalidConnectionFeedback(targetId, problem);
+            return null;
+        }
+
+        const siblings = getChildConnections(stateManager.getConnections(), sourceId);
 
         // Create connection object
         const id = stateManager.generateConnectionId();
         const connection = {
             id,
             source: sourceId,
-            target: targetId
+            target: targetId,
+            index: siblings.length
         };
 
         // Add to state (will trigger render through events)
         stateManager.addConnection(connection);
+
+        // Insert at the requested position
+        if (index !== null && index < siblings.length) {
+            const orderedIds = siblings.map(conn => conn.id);
+            orderedIds.splice(Math.max(index, 0), 0, id);
+            stateManager.reorderChildConnections(sourceId, orderedIds);
+        }
+
         // 更新相关节点的端口状态
         updateConnectedNodesPorts(sourceId, targetId);
 
@@ -40,12 +70,41 @@ export function initConnections(elements, state, renderer) {
 
         stateManager.removeConnection(connectionId);
 
-        // 如果找到了连接，更新相关节点的端口状态
+        // 如果找到了连接，更新相关节点的端口状态并重新编号剩余的子节点
         if (sourceId && targetId) {
             updateConnectedNodesPorts(sourceId, targetId);
+
+            const siblings = getChildConnections(stateManager.getConnections(), sourceId);
+            if (siblings.some((conn, index) => conn.index !== index)) {
+                stateManager.reorderChildConnections(sourceId, siblings.map(conn => conn.id));
+            }
         }
     }
 
+    /**
+     * Move a child one or more positions within its parent's child order, without moving any node
+     * @param {string} connectionId - Connection to the child
+     * @param {number} offset - Negative to move earlier, positive to move later
+     * @returns {boolean} - Whether the order changed
+     */
+    function moveChildConnection(connectionId, offset) {
+        const connection = stateManager.getConnections().find(c => c.id === connectionId);
+        if (!connection) return false;
+
+        const orderedIds = getChildConnections(stateManager.getConnections(), connection.source)
+            .map(conn => conn.id);
+        const from = orderedIds.indexOf(connectionId);
+        const to = Math.min(Math.max(from + offset, 0), orderedIds.length - 1);
+        if (from === to) return false;
+
+        orderedIds.splice(from, 1);
+        orderedIds.splice(to, 0, connectionId);
+        stateManager.reorderChildConnections(connection.source, orderedIds);
+
+        logger.debug(`Child order changed: ${connection.target} moved to position ${to + 1}`);
+        return true;
+    }
+
     /**
      * 更新连接到的节点的端口状态
      */
@@ -125,6 +184,14 @@ export function initConnections(elements, state, renderer) {
             targetId = pendingConnection.sourceId;
         }
 
+        // The parent's node type limits how many children it can take
+        const childLimitProblem = getChildLimitProblem(sourceId);
+        if (childLimitProblem) {
+            showInvalidConnectionFeedback(sourceId, childLimitProblem);
+            resetPendingConnection();
+            return null;
+        }
+
         // Create the connection
         const connectionId = createConnection(sourceId, targetId);
 
@@ -158,24 +225,173 @@ export function initConnections(elements, state, renderer) {
 
     /**
      * Show feedback for invalid connection attempts
+     * The message appears next to the node instead of blocking the page; when the node is not
+     * rendered it is shown as a toast.
      */
     function showInvalidConnectionFeedback(nodeId, message) {
         const nodeElement = document.querySelector(`.tree-node[data-id="${nodeId}"]`);
 
-        if (nodeElement) {
-            // Add invalid connection class
-            nodeElement.classList.add('invalid-connection');
+        if (!nodeElement) {
+            if (message) showErrorToast(message);
+            return;
+        }
+
+        // Add invalid connection class
+        nodeElement.classList.add('invalid-connection');
+
+        // Remove class after animation
+        setTimeout(() => {
+            nodeElement.classList.remove('invalid-connection');
+        }, 800);
+
+        // Show message if provided, replacing an earlier one on the same node
+        if (message) {
+            nodeElement.querySelectorAll('.connection-feedback').forEach(el => el.remove());
+
+            const feedback = document.createElement('div');
+            feedback.className = 'connection-feedback';
+            feedback.textContent = message;
+            nodeElement.appendChild(feedback);
+
+            setTimeout(() => feedback.remove(), FEEDBACK_DURATION);
+        }
+    }
+
+    /**
+     * Check whether a parent-child connection keeps the tree a tree
+     * @param {string} sourceId - Parent node ID
+     * @param {string} targetId - Child node ID
+     * @returns {string|null} - Why the connection is not allowed, null when it is
+     */
+    function getConnectionProblem(sourceId, targetId) {
+        const nodes = stateManager.getNodes();
+        const target = nodes.find(n => n.id === targetId);
+        if (!target || !nodes.some(n => n.id === sourceId)) {
+            return '节点不存在';
+        }
+
+        if (sourceId === targetId) {
+            return '节点不能连接到自身';
+        }
 
-            // Remove class after animation
-            setTimeout(() => {
-                nodeElement.classList.remove('invalid-connection');
-            }, 800);
+        const parentId = findParentNode(targetId);
+        if (parentId) {
+            const parent = nodes.find(n => n.id === parentId);
+            return `"${target.name}" 已有父节点 "${parent ? parent.name : parentId}"`;
+        }
 
-            // Show message if provided
-            if (message) {
-                alert(message);
+        // The child must not already be above the parent
+        const visited = new Set();
+        for (let ancestor = sourceId; ancestor && !visited.has(ancestor); ancestor = findParentNode(ancestor)) {
+            if (ancestor === targetId) {
+                return `"${target.name}" 是该节点的上级节点，连接后会形成循环`;
             }
+            visited.add(ancestor);
         }
+
+        return null;
+    }
+
+    /**
+     * Check whether a node can take one more child
+     * @returns {string|null} - Why it cannot, null when it can
+     */
+    function getChildLimitProblem(nodeId) {
+        const node = stateManager.getNodes().find(n => n.id === nodeId);
+        if (!node) return null;
+
+        const {maxChildren, reason} = getChildConstraints(node, stateManager.getCustomNodeTypes());
+        if (maxChildren === null || findChildNodes(nodeId).length < maxChildren) return null;
+
+        if (maxChildren === 0) {
+            return `"${node.name}" 不能有子节点`;
+        }
+        return `"${node.name}" 最多只能有${maxChildren}个子节点${reason ? `（${reason}）` : ''}`;
+    }
+
+    /**
+     * Check whether an item can be placed between the two ends of a connection
+     * @param {Object} item - {nodeId} for an existing node or {type, category} for a new one
+     * @param {string} connectionId - Connection to split
+     * @returns {string|null} - Why the item cannot be inserted, null when it can
+     */
+    function getInsertionProblem(item, connectionId) {
+        const connection = stateManager.getConnections().find(c => c.id === connectionId);
+        if (!connection) return '连线不存在';
+
+        let {type, category} = item;
+        let properties = null;
+        if (item.nodeId) {
+            const node = stateManager.getNodes().find(n => n.id === item.nodeId);
+            if (!node) return '节点不存在';
+            ({type, category, properties} = node);
+
+            if (item.nodeId === connection.source || item.nodeId === connection.target) {
+                return '节点已是这条连线的一端';
+            }
+
+            // The node becomes the child of the connection's parent
+            const connectionProblem = getConnectionProblem(connection.source, item.nodeId);
+            if (connectionProblem) {
+                return connectionProblem;
+            }
+        }
+
+        const maxChildren = getMaxChildrenForType(type, category, stateManager.getCustomNodeTypes(), properties);
+        if (maxChildren === 0) {
+            return `${type} 不能有子节点`;
+        }
+
+        if (item.nodeId) {
+            const childLimitProblem = getChildLimitProblem(item.nodeId);
+            if (childLimitProblem) {
+                return childLimitProblem;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Split a connection so that a node sits between its parent and child
+     * The node takes the child's place in the parent's child order and the child becomes its last child
+     * @param {string} nodeId - Node to insert
+     * @param {string} connectionId - Connection to split
+     * @returns {boolean} - Whether the node was inserted
+     */
+    function insertNodeIntoConnection(nodeId, connectionId) {
+        const problem = getInsertionProblem({nodeId}, connectionId);
+        if (problem) {
+            showInvalidConnectionFeedback(nodeId, problem);
+            return false;
+        }
+
+        const connection = stateManager.getConnections().find(c => c.id === connectionId);
+        const {source, target, index} = connection;
+
+        deleteConnection(connectionId);
+        createConnection(source, nodeId, index);
+        createConnection(nodeId, target);
+
+        logger.debug(`Node ${nodeId} inserted between ${source} and ${target}`);
+        return true;
+    }
+
+    /**
+     * Highlight the connection under a drag, marking whether the dragged item can be dropped into it
+     */
+    function updateDropTarget(path) {
+        document.querySelectorAll('.connection-path.drop-target, .connection-path.drop-invalid')
+            .forEach(el => {
+                if (el !== path) el.classList.remove('drop-target', 'drop-invalid');
+            });
+
+        const item = getActiveDrag();
+        if (!path || !item) return;
+
+        const valid = !getInsertionProblem(item, path.getAttribute('data-id'));
+        path.classList.toggle('drop-target', valid);
+        path.classList.toggle('drop-invalid', !valid);
     }
 
     /**
@@ -203,12 +419,10 @@ export function initConnections(elements, state, renderer) {
     }
 
     /**
-     * Find children of a node
+     * Find children of a node, in child order
      */
     function findChildNodes(nodeId) {
-        const connections = stateManager.getConnections();
-        return connections
-            .filter(conn => conn.source === nodeId)
+        return getChildConnections(stateManager.getConnections(), nodeId)
             .map(conn => conn.target);
     }
 
@@ -218,6 +432,9 @@ export function initConnections(elements, state, renderer) {
     function setupEventListeners() {
         // When a node is deleted, remove its connections
         eventBus.on(EVENTS.NODE_CHANGED, (data) => {
+            // Node type events carry no node
+            if (!data.node) return;
+
             const nodeId = data.node.id;
             const connections = findConnectionsByNode(nodeId);
             if (data.type === 'deleted') {
@@ -281,6 +498,14 @@ export function initConnections(elements, state, renderer) {
             }
         });
 
+        // Highlight the connection a node or palette item is dragged over
+        elements.canvas.addEventListener('dragover', (e) => {
+            updateDropTarget(e.target.closest('.connection-path'));
+        });
+        ['drop', 'dragend'].forEach(type => {
+            document.addEventListener(type, () => updateDropTarget(null));
+        });
+
         // Cancel pending connection on Escape
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape' && stateManager.getState().pendingConnection) {
@@ -311,11 +536,15 @@ export function initConnections(elements, state, renderer) {
     return {
         createConnection,
         deleteConnection,
+        moveChildConnection,
+        insertNodeIntoConnection,
+        getInsertionProblem,
         startPendingConnection,
         completePendingConnection,
         resetPendingConnection,
         findConnectionsByNode,
         findParentNode,
-        findChildNodes
+        findChildNodes,
+        getConnectionProblem
     };
 }
\ No newline at end of file
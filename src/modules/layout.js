@@ -4,6 +4,7 @@
 import {eventBus, EVENTS} from '../core/events.js';
 import {logger} from '../utils/logger.js';
 import {config} from '../core/config.js';
+import {getChildConnections} from '../utils/helpers.js';
 
 export function initLayout(elements, state, renderer) {
     const stateManager = state;
@@ -46,7 +47,7 @@ export function initLayout(elements, state, renderer) {
             // Animate to new positions
             animateNodePositions(originalPositions, positions, () => {
                 // Animation complete - ensure state is clean
-                updateStateAfterLayout(positions);
+                updateStateAfterLayout(positions, originalPositions);
             });
         } else {
             // Apply immediately
@@ -57,10 +58,19 @@ export function initLayout(elements, state, renderer) {
     /**
      * Update state after layout is applied
      * This ensures state consistency after layout operations
+     * @param {Array} positions - Final node positions
+     * @param {Array} [originalPositions] - Positions before an animated layout, recorded as the undo state
      */
-    function updateStateAfterLayout(positions) {
+    function updateStateAfterLayout(positions, originalPositions = null) {
+        // Animation frames are not recorded; the layout is undone as one step from the original positions
+        if (originalPositions) {
+            stateManager.previewNodePositions(originalPositions);
+        }
+
         // 批量更新所有节点
+        stateManager.beginHistoryGroup('Auto layout');
         stateManager.batchUpdateNodes(positions);
+        stateManager.endHistoryGroup();
 
         // 清理任何未完成的操作
         stateManager.cleanupAfterLayout();
@@ -268,14 +278,10 @@ export function initLayout(elements, state, renderer) {
             const node = nodes.find(n => n.id === nodeId);
             if (!node) return null;
 
-            // Find child connections
-            const childConnections = connections.filter(conn => conn.source === nodeId);
-
-            // Build child hierarchies recursively
-            const children = childConnections
+            // Build child hierarchies recursively, in explicit child order
+            const children = getChildConnections(connections, nodeId)
                 .map(conn => buildSubtree(conn.target))
-                .filter(Boolean)
-                .sort((a, b) => a.x - b.x);
+                .filter(Boolean);
 
             return {...node, children};
         }
@@ -450,16 +456,17 @@ export function initLayout(elements, state, renderer) {
             const elapsed = Date.now() - startTime;
             const progress = Math.min(elapsed / duration, 1);
 
-            // 应用插值位置
-            originalPositions.forEach(origPos => {
-                const newPos = posMap[origPos.id];
-                if (newPos) {
-                    const x = origPos.x + (newPos.x - origPos.x) * progress;
-                    const y = origPos.y + (newPos.y - origPos.y) * progress;
-
-                    stateManager.updateNode(origPos.id, {x, y});
-                }
-            });
+            // 应用插值位置，动画帧不记录历史
+            stateManager.previewNodePositions(originalPositions
+                .filter(origPos => posMap[origPos.id])
+                .map(origPos => {
+                    const newPos = posMap[origPos.id];
+                    return {
+                        id: origPos.id,
+                        x: origPos.x + (newPos.x - origPos.x) * progress,
+                        y: origPos.y + (newPos.y - origPos.y) * progress
+                    };
+                }));
 
             // 请求完整渲染包括连接线
             renderer.requestFullRender();
@@ -487,6 +494,13 @@ export function initLayout(elements, state, renderer) {
             autoLayoutBtn.addEventListener('click', applyLayout);
         }
 
+        // Layout requested by other modules (e.g. after XML import)
+        eventBus.on(EVENTS.TOOLBAR_ACTION, (data) => {
+            if (data.action === 'auto-layout') {
+                applyLayout();
+            }
+        });
+
         // Layout type selection
         const layoutTypeSelect = document.getElementById('layout-type');
         if (layoutTypeSelect) {
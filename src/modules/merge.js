@@ -0,0 +1,408 @@
+/**
+ * Merge Module - Imports another tree file into the current canvas
+ * Every incoming node and connection gets a new ID, custom node types are merged
+ * with user-chosen conflict resolution, and imported trees are added beside the existing ones.
+ */
+import {eventBus, EVENTS} from '../core/events.js';
+import {logger} from '../utils/logger.js';
+import {showErrorToast} from '../index.js';
+import {findNodeDefinitionByType} from '../data/node-types.js';
+
+// How an incoming custom node type that differs from the current definition is handled
+const CONFLICT_ACTIONS = {
+    keep: '保留当前定义',
+    replace: '使用导入的定义',
+    rename: '重命名导入的类型'
+};
+
+export function initMerge(elements, state, serialization) {
+    const stateManager = state;
+
+    // Resolves the pending conflict dialog
+    let resolveConflictDialog = null;
+
+    /**
+     * Pick a JSON or XML file and merge it into the current canvas
+     */
+    function mergeFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,.xml';
+
+        input.onchange = async (event) => {
+            const file = event.target.files[0];
+            if (!file) return;
+
+            try {
+                await mergeFileContent(file.name, await file.text());
+            } catch (error) {
+                logger.error('Error merging file:', error);
+                showErrorToast('导入文件出错: ' + error.message);
+            }
+        };
+
+        input.click();
+    }
+
+    /**
+     * Merge the trees of a file into the current document
+     * @param {string} fileName - File name, used to tell JSON from XML
+     * @param {string} content - File content
+     * @returns {Promise<boolean>} - false when the file is invalid or the user cancels
+     */
+    async function mergeFileContent(fileName, content) {
+        const data = serialization.parseTreeFile(fileName, content);
+        const warnings = [...data.warnings];
+
+        const {added, conflicts} = compareNodeTypes(data.customNodeTypes, warnings);
+        let decisions = new Map();
+        if (conflicts.length > 0) {
+            decisions = await showConflictDialog(conflicts);
+            if (!decisions) return false;
+        }
+
+        // Type changes and imported trees undo together
+        let importedIds;
+        stateManager.beginHistoryGroup(`Import "${fileName}"`);
+        try {
+            const typeChanges = applyNodeTypes(added, conflicts, decisions);
+            importedIds = insertTrees(data, typeChanges, warnings);
+        } finally {
+            stateManager.endHistoryGroup();
+        }
+
+        if (data.unknownTypes.length > 0) {
+            warnings.push(`以下节点类型未定义，已根据子节点数量推断类别: ${data.unknownTypes.join(', ')}`);
+        }
+        if (warnings.length > 0) {
+            logger.warn('Warnings while merging file:', warnings);
+            showErrorToast(warnings);
+        }
+
+        logger.info(`Merged ${importedIds.length} nodes from ${fileName}`);
+        return true;
+    }
+
+    /**
+     * Split incoming custom node types into new ones and ones that differ from the current definition
+     */
+    function compareNodeTypes(nodeTypes, warnings) {
+        const customNodeTypes = stateManager.getCustomNodeTypes();
+        const added = [];
+        const conflicts = [];
+
+        nodeTypes.forEach(nodeType => {
+            const existing = customNodeTypes.find(nt => nt.type === nodeType.type);
+
+            if (existing) {
+                const differences = describeDifferences(existing, nodeType);
+                if (differences.length > 0) {
+                    conflicts.push({existing, incoming: nodeType, differences});
+                }
+            } else if (findNodeDefinitionByType(nodeType.type)) {
+                warnings.push(`${nodeType.type} 是内置节点类型，已跳过`);
+            } else {
+                added.push(nodeType);
+            }
+        });
+
+        return {added, conflicts};
+    }
+
+    /**
+     * List how an incoming node type differs from the current one; an empty list means they match
+     */
+    function describeDifferences(existing, incoming) {
+        const differences = [];
+
+        if (existing.category !== incoming.category) {
+            differences.push(`类别: ${existing.category} → ${incoming.category}`);
+        }
+
+        const existingProps = existing.properties || [];
+        const incomingProps = incoming.properties || [];
+        const removed = existingProps.filter(p => !incomingProps.some(q => q.name === p.name));
+        const addedProps = incomingProps.filter(p => !existingProps.some(q => q.name === p.name));
+        const changed = incomingProps.filter(p => {
+            const before = existingProps.find(q => q.name === p.name);
+            return before && JSON.stringify(before) !== JSON.stringify(p);
+        });
+
+        if (addedProps.length > 0) {
+            differences.push(`新增端口: ${addedProps.map(p => p.name).join(', ')}`);
+        }
+        if (removed.length > 0) {
+            differences.push(`缺少端口: ${removed.map(p => p.name).join(', ')}`);
+        }
+        if (changed.length > 0) {
+            differences.push(`端口定义不同: ${changed.map(p => p.name).join(', ')}`);
+        }
+
+        return differences;
+    }
+
+    /**
+     * Ask how to resolve each conflicting node type
+     * @param {Array} conflicts - Items from compareNodeTypes
+     * @returns {Promise<Map|null>} - Action per type name, or null when the import is canceled
+     */
+    function showConflictDialog(conflicts) {
+        const modal = document.getElementById('type-conflict-modal');
+        const list = document.getElementById('type-conflict-list');
+        if (!modal || !list) {
+            // Without the dialog the current definitions win
+            return Promise.resolve(new Map(conflicts.map(c => [c.incoming.type, 'keep'])));
+        }
+
+        list.innerHTML = '';
+        conflicts.forEach(({incoming, differences}) => {
+            const row = document.createElement('tr');
+
+            const typeCell = document.createElement('td');
+            typeCell.textContent = incoming.type;
+
+            const differenceCell = document.createElement('td');
+            differenceCell.innerHTML = differences.map(escapeHtml).join('<br>');
+
+            const actionCell = document.createElement('td');
+            const select = document.createElement('select');
+            select.dataset.type = incoming.type;
+            Object.entries(CONFLICT_ACTIONS).forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+            actionCell.appendChild(select);
+
+            row.append(typeCell, differenceCell, actionCell);
+            list.appendChild(row);
+        });
+
+        modal.style.display = 'block';
+
+        return new Promise(resolve => {
+            resolveConflictDialog = resolve;
+        });
+    }
+
+    /**
+     * Close the conflict dialog with the chosen actions, or null to cancel
+     */
+    function closeConflictDialog(confirmed) {
+        const modal = document.getElementById('type-conflict-modal');
+        if (modal) modal.style.display = 'none';
+
+        if (!resolveConflictDialog) return;
+
+        const decisions = confirmed ? new Map(
+            Array.from(document.querySelectorAll('#type-conflict-list select'))
+                .map(select => [select.dataset.type, select.value])
+        ) : null;
+
+        const resolve = resolveConflictDialog;
+        resolveConflictDialog = null;
+        resolve(decisions);
+    }
+
+    /**
+     * Add new node types and apply the conflict decisions
+     * @returns {Map} - Per incoming type name, the type and category its imported nodes should get
+     */
+    function applyNodeTypes(added, conflicts, decisions) {
+        const typeChanges = new Map();
+
+        added.forEach(nodeType => {
+            stateManager.addCustomNodeType(structuredClone(nodeType));
+        });
+
+        conflicts.forEach(({existing, incoming}) => {
+            const action = decisions.get(incoming.type) || 'keep';
+
+            if (action === 'replace') {
+                // Keep the display name the user may have edited
+                stateManager.updateCustomNodeType(incoming.type, {...structuredClone(incoming), name: existing.name});
+                typeChanges.set(incoming.type, {type: incoming.type, category: incoming.category});
+            } else if (action === 'rename') {
+                const type = generateTypeName(incoming.type);
+                stateManager.addCustomNodeType({...structuredClone(incoming), type, name: type});
+                typeChanges.set(incoming.type, {type, category: incoming.category});
+            } else {
+                typeChanges.set(incoming.type, {type: existing.type, category: existing.category});
+            }
+        });
+
+        return typeChanges;
+    }
+
+    /**
+     * Find an unused custom type name such as Foo_2
+     */
+    function generateTypeName(type) {
+        const customNodeTypes = stateManager.getCustomNodeTypes();
+        let suffix = 2;
+        while (findNodeDefinitionByType(`${type}_${suffix}`, customNodeTypes)) suffix++;
+        return `${type}_${suffix}`;
+    }
+
+    /**
+     * Find an unused tree ID such as Foo_2
+     * @param {string} id - Imported tree ID
+     * @param {Array} usedIds - IDs already taken, including ones assigned during this import
+     */
+    function generateTreeId(id, usedIds) {
+        let suffix = 2;
+        while (usedIds.includes(`${id}_${suffix}`)) suffix++;
+        return `${id}_${suffix}`;
+    }
+
+    /**
+     * Add the imported trees to the document as separate trees
+     * Trees whose ID is already taken get a new ID and the SubTree nodes calling them follow.
+     * Only when the active tree is empty does the imported main tree go into it.
+     * @returns {Array} - New IDs of the imported nodes
+     */
+    function insertTrees(data, typeChanges, warnings) {
+        const activeTreeId = stateManager.getActiveTreeId();
+        const fillActiveTree = stateManager.getNodes().length === 0;
+        const usedIds = stateManager.getTrees().map(t => t.id);
+
+        // Imported tree ID -> ID of the tree its nodes go into
+        const treeIdMap = new Map();
+        data.trees.forEach(tree => {
+            if (fillActiveTree && tree.id === data.mainTreeId) {
+                treeIdMap.set(tree.id, activeTreeId);
+                return;
+            }
+
+            const targetId = usedIds.includes(tree.id) ? generateTreeId(tree.id, usedIds) : tree.id;
+            if (targetId !== tree.id) {
+                warnings.push(`行为树 "${tree.id}" 与现有的树重名，已导入为 "${targetId}"`);
+            }
+            usedIds.push(targetId);
+            treeIdMap.set(tree.id, targetId);
+        });
+
+        const importedIds = [];
+        let activeIds = [];
+
+        try {
+            data.trees.forEach(tree => {
+                const targetId = treeIdMap.get(tree.id);
+                if (targetId !== activeTreeId) {
+                    stateManager.addTree({id: targetId, description: tree.description});
+                }
+                if (tree.nodes.length === 0) return;
+
+                stateManager.setActiveTree(targetId);
+                const nodeIds = insertTreeNodes(tree, typeChanges, treeIdMap);
+                importedIds.push(...nodeIds);
+                if (targetId === activeTreeId) {
+                    activeIds = nodeIds;
+                }
+            });
+        } finally {
+            stateManager.setActiveTree(activeTreeId);
+        }
+
+        stateManager.selectNodes(activeIds);
+        return importedIds;
+    }
+
+    /**
+     * Add the nodes and connections of one imported tree to the active, empty tree with new IDs
+     */
+    function insertTreeNodes(tree, typeChanges, treeIdMap) {
+        const idMap = new Map();
+        tree.nodes.forEach(node => {
+            const newNode = structuredClone(node);
+            delete newNode.treeId;
+            newNode.id = stateManager.generateNodeId();
+
+            const typeChange = typeChanges.get(node.type);
+            if (typeChange) {
+                newNode.type = typeChange.type;
+                newNode.category = typeChange.category;
+            }
+            if (newNode.category === 'subtree' && newNode.properties && treeIdMap.has(newNode.properties.ID)) {
+                newNode.properties.ID = treeIdMap.get(newNode.properties.ID);
+            }
+
+            idMap.set(node.id, newNode.id);
+            stateManager.addNode(newNode);
+        });
+
+        tree.connections
+            .filter(conn => idMap.has(conn.source) && idMap.has(conn.target))
+            .forEach(conn => {
+                stateManager.addConnection({
+                    id: stateManager.generateConnectionId(),
+                    source: idMap.get(conn.source),
+                    target: idMap.get(conn.target),
+                    index: conn.index
+                });
+            });
+
+        if (idMap.has(tree.rootId)) {
+            stateManager.setTreeRoot(idMap.get(tree.rootId));
+        }
+
+        return [...idMap.values()];
+    }
+
+    /**
+     * Escape text shown in the conflict table
+     */
+    function escapeHtml(str) {
+        return String(str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    /**
+     * Set up event listeners
+     */
+    function setupEventListeners() {
+        eventBus.on(EVENTS.TOOLBAR_ACTION, (data) => {
+            if (data.action === 'merge-file') {
+                mergeFile();
+            }
+        });
+
+        const buttons = {
+            'confirm-type-conflict': () => closeConflictDialog(true),
+            'cancel-type-conflict': () => closeConflictDialog(false),
+            'close-type-conflict-modal': () => closeConflictDialog(false)
+        };
+
+        Object.entries(buttons).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        });
+
+        // The generic modal closers hide the dialog on Escape or a click outside; cancel the import then
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && resolveConflictDialog) {
+                closeConflictDialog(false);
+            }
+        });
+
+        window.addEventListener('click', (e) => {
+            if (e.target.id === 'type-conflict-modal' && resolveConflictDialog) {
+                closeConflictDialog(false);
+            }
+        });
+    }
+
+    // Initialize
+    setupEventListeners();
+
+    // Return public API
+    return {
+        mergeFile,
+        mergeFileContent
+    };
+}
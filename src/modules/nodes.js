@@ -5,7 +5,17 @@ import {eventBus, EVENTS} from '../core/events.js';
 import {logger} from '../utils/logger.js';
 import {config} from '../core/config.js';
 import {setupNodeDragAndDrop} from '../utils/drag.js';
-import {NODE_TYPES} from "../data/node-types.js";
+import {NODE_TYPES, getMaxChildrenForType} from "../data/node-types.js";
+import {showErrorToast} from '../index.js';
+
+// Categories listed in the change type dialog, with their option group labels
+const CATEGORY_LABELS = {
+    composite: '组合节点',
+    decorator: '装饰节点',
+    condition: '条件节点',
+    action: '行为节点',
+    subtree: '子树节点'
+};
 
 export function initNodes(elements, state, renderer) {
     const stateManager = state;
@@ -31,20 +41,9 @@ export function initNodes(elements, state, renderer) {
                 category,
                 x,
                 y,
-                properties: {}
+                properties: getDefaultProperties(nodeTypeDef)
             };
 
-            // Add default properties if defined
-            if (nodeTypeDef && nodeTypeDef.properties) {
-                nodeTypeDef.properties.forEach(prop => {
-                    if (prop.name === 'port_mappings' && prop.type === 'object') {
-                        node.properties[prop.name] = prop.default || {};
-                    } else {
-                        node.properties[prop.name] = prop.default || '';
-                    }
-                });
-            }
-
             // Add to state
             stateManager.addNode(node);
 
@@ -253,6 +252,179 @@ export function initNodes(elements, state, renderer) {
         });
     }
 
+    /**
+     * Get the default property values of a node type
+     */
+    function getDefaultProperties(nodeTypeDef) {
+        const properties = {};
+
+        if (nodeTypeDef && nodeTypeDef.properties) {
+            nodeTypeDef.properties.forEach(prop => {
+                if (prop.name === 'port_mappings' && prop.type === 'object') {
+                    properties[prop.name] = prop.default || {};
+                } else {
+                    properties[prop.name] = prop.default || '';
+                }
+            });
+        }
+
+        return properties;
+    }
+
+    /**
+     * Work out what changing a node's type would do
+     * @param {string} nodeId - Node to change
+     * @param {string} type - New node type
+     * @param {string} category - Category of the new type
+     * @returns {Object|null} - {properties, dropped, problem}: the new property values, names of the
+     *   properties the new type does not have, and why the change is refused (null when allowed)
+     */
+    function getTypeChange(nodeId, type, category) {
+        const node = stateManager.getNodes().find(n => n.id === nodeId);
+        if (!node) return null;
+
+        const properties = getDefaultProperties(getNodeTypeDefinition(type, category));
+        const oldProperties = node.properties || {};
+        const dropped = Object.keys(oldProperties).filter(name => !(name in properties));
+
+        Object.keys(properties)
+            .filter(name => name in oldProperties)
+            .forEach(name => {
+                properties[name] = structuredClone(oldProperties[name]);
+            });
+
+        let problem = null;
+        const childCount = stateManager.getConnections().filter(conn => conn.source === nodeId).length;
+        const maxChildren = getMaxChildrenForType(type, category, stateManager.getCustomNodeTypes(), properties);
+        if (maxChildren !== null && childCount > maxChildren) {
+            problem = maxChildren === 0 ?
+                `${type} 不能有子节点，而该节点有${childCount}个子节点` :
+                `${type} 最多只能有${maxChildren}个子节点，而该节点有${childCount}个子节点`;
+        }
+
+        return {properties, dropped, problem};
+    }
+
+    /**
+     * Change a node's type, keeping its ID, position, name and connections
+     * Properties the new type also has keep their values; the others are dropped.
+     * @param {string} nodeId - Node to change
+     * @param {string} type - New node type
+     * @param {string} category - Category of the new type
+     * @returns {boolean} - Whether the type was changed
+     */
+    function changeNodeType(nodeId, type, category) {
+        const change = getTypeChange(nodeId, type, category);
+        if (!change) {
+            logger.warn(`Node not found: ${nodeId}`);
+            return false;
+        }
+        if (change.problem) {
+            showErrorToast(change.problem);
+            return false;
+        }
+
+        stateManager.updateNode(nodeId, {type, category, properties: change.properties});
+
+        // Port rules depend on the category, so connections are redrawn too
+        renderer.requestFullRender();
+
+        logger.debug(`Node ${nodeId} changed to ${type}`);
+        return true;
+    }
+
+    /**
+     * Open the dialog that picks a new type for the selected node
+     */
+    function showChangeTypeDialog() {
+        const modal = document.getElementById('change-type-modal');
+        const select = document.getElementById('change-type-select');
+        const selectedNodes = stateManager.getSelectedNodes();
+        if (!modal || !select || selectedNodes.length !== 1) return;
+
+        const node = stateManager.getNodes().find(n => n.id === selectedNodes[0]);
+        if (!node) return;
+
+        select.innerHTML = '';
+        select.dataset.nodeId = node.id;
+        const customNodeTypes = stateManager.getCustomNodeTypes();
+
+        Object.entries(CATEGORY_LABELS).forEach(([category, label]) => {
+            const group = document.createElement('optgroup');
+            group.label = label;
+
+            const nodeTypes = [...(NODE_TYPES[category] || []), ...customNodeTypes.filter(nt => nt.category === category)];
+            nodeTypes
+                .filter(nodeType => nodeType.type !== node.type)
+                .forEach(nodeType => {
+                    const option = document.createElement('option');
+                    option.value = nodeType.type;
+                    option.dataset.category = category;
+                    option.textContent = nodeType.name && nodeType.name !== nodeType.type ?
+                        `${nodeType.name} (${nodeType.type})` : nodeType.type;
+
+                    // Types that cannot hold the node's children are listed but not selectable
+                    const {problem} = getTypeChange(node.id, nodeType.type, category);
+                    option.disabled = !!problem;
+                    if (problem) option.title = problem;
+
+                    group.appendChild(option);
+                });
+
+            if (group.children.length > 0) {
+                select.appendChild(group);
+            }
+        });
+
+        // Start with another type of the same category
+        const firstOption = Array.from(select.options).find(option => option.dataset.category === node.category && !option.disabled) ||
+            Array.from(select.options).find(option => !option.disabled);
+        if (firstOption) {
+            select.value = firstOption.value;
+        }
+
+        updateChangeTypeSummary();
+        modal.style.display = 'block';
+        select.focus();
+    }
+
+    /**
+     * Describe the chosen type change in the dialog, listing the properties it drops
+     */
+    function updateChangeTypeSummary() {
+        const select = document.getElementById('change-type-select');
+        const summary = document.getElementById('change-type-summary');
+        const confirmButton = document.getElementById('confirm-change-type');
+        if (!select || !summary) return;
+
+        const option = select.selectedOptions[0];
+        const change = option ? getTypeChange(select.dataset.nodeId, option.value, option.dataset.category) : null;
+
+        if (!change) {
+            summary.textContent = '没有可选的节点类型';
+        } else if (change.problem) {
+            summary.textContent = change.problem;
+        } else if (change.dropped.length > 0) {
+            summary.textContent = `以下属性将被丢弃: ${change.dropped.join(', ')}`;
+        } else {
+            summary.textContent = '所有属性都会保留';
+        }
+
+        summary.classList.toggle('error', !change || !!change.problem);
+        summary.classList.toggle('warning', !!change && !change.problem && change.dropped.length > 0);
+        if (confirmButton) {
+            confirmButton.disabled = !change || !!change.problem;
+        }
+    }
+
+    /**
+     * Close the change type dialog
+     */
+    function hideChangeTypeDialog() {
+        const modal = document.getElementById('change-type-modal');
+        if (modal) modal.style.display = 'none';
+    }
+
     /**
      * Get node type definition
      */
@@ -287,6 +459,30 @@ export function initNodes(elements, state, renderer) {
             }
         });
 
+        // Change type dialog
+        const changeTypeSelect = document.getElementById('change-type-select');
+        if (changeTypeSelect) {
+            changeTypeSelect.addEventListener('change', updateChangeTypeSummary);
+        }
+
+        const changeTypeForm = document.getElementById('change-type-form');
+        if (changeTypeForm) {
+            changeTypeForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const option = changeTypeSelect.selectedOptions[0];
+                hideChangeTypeDialog();
+
+                if (option) {
+                    changeNodeType(changeTypeSelect.dataset.nodeId, option.value, option.dataset.category);
+                }
+            });
+        }
+
+        const cancelChangeTypeButton = document.getElementById('cancel-change-type');
+        if (cancelChangeTypeButton) {
+            cancelChangeTypeButton.addEventListener('click', hideChangeTypeDialog);
+        }
+
         // Align buttons
         const alignButtons = {
             'align-left-btn': 'left',
@@ -325,6 +521,14 @@ export function initNodes(elements, state, renderer) {
         const nodeCategory = e.dataTransfer.getData('application/node-category');
         const {offsetX, offsetY} = stateManager.getViewport();
 
+        // 放在连线上时把节点插入到该连线的父子节点之间
+        const targetPath = e.target.closest && e.target.closest('.connection-path');
+        const insertIntoConnection = (id) => {
+            if (targetPath && window.editor && window.editor.modules && window.editor.modules.connections) {
+                window.editor.modules.connections.insertNodeIntoConnection(id, targetPath.getAttribute('data-id'));
+            }
+        };
+
         if (nodeId) {
             const selectedNodes = stateManager.getSelectedNodes();
 
@@ -357,6 +561,11 @@ export function initNodes(elements, state, renderer) {
                 applyGridSnapping(selectedNodes.length > 0 ? selectedNodes : [nodeId]);
             }
 
+            // 只有单个节点可以插入连线
+            if (selectedNodes.length <= 1) {
+                insertIntoConnection(nodeId);
+            }
+
             // 确保连接线正确重绘
             renderer.requestFullRender();
         } else if (nodeType && nodeCategory) {
@@ -369,6 +578,7 @@ export function initNodes(elements, state, renderer) {
             );
             if (nodeId) {
                 applyGridSnapping([nodeId])
+                insertIntoConnection(nodeId);
             }
         }
     }
@@ -539,6 +749,8 @@ export function initNodes(elements, state, renderer) {
         cloneSelectedNodes,
         alignNodes,
         applyGridSnapping,
+        changeNodeType,
+        showChangeTypeDialog,
         getNodeTypeDefinition
     };
 }
\ No newline at end of file
@@ -3,124 +3,1670 @@
  */
 import {eventBus, EVENTS} from '../core/events.js';
 import {logger} from '../utils/logger.js';
+import {config} from '../core/config.js';
 import {showErrorToast} from '../index.js';
+import {getChildConnections} from '../utils/helpers.js';
+import {SAVE_FORMAT_VERSION, migrateSaveData} from '../data/save-format.js';
+import {
+    PORT_DIRECTION_TAGS,
+    findNodeDefinitionByType,
+    getCategoryForModelTag,
+    getModelTagForCategory,
+    getDefaultPortType,
+    getPropertyTypeForPort,
+    getDefaultConstraintsForCategory
+} from '../data/node-types.js';
+import {
+    BTCPP_FORMATS,
+    V3_WRAPPER_TAGS,
+    getV3WrapperTag,
+    convertTypeFromV3,
+    convertTypeToV3,
+    convertAttributeFromV3,
+    convertAttributeToV3
+} from '../data/btcpp-formats.js';
+
+// 保存编辑器布局的元素，位于<root>下，BehaviorTree.CPP加载时会忽略
+const EDITOR_LAYOUT_TAG = 'EditorLayout';
+
+// File System Access API中XML文件的类型描述
+const XML_FILE_TYPES = [{
+    description: 'BehaviorTree.CPP XML',
+    accept: {'application/xml': ['.xml']}
+}];
+
+// 打开文件时还可以选择Groot2项目文件
+const OPEN_FILE_TYPES = [{
+    description: 'BehaviorTree.CPP XML / Groot2 Project',
+    accept: {'application/xml': ['.xml', '.btproj']}
+}];
+
+// Groot2项目文件的扩展名
+const GROOT2_PROJECT_EXTENSION = '.btproj';
+
+export function initSerialization(elements, state, validation) {
+    const stateManager = state;
+
+    // 当前打开的XML项目 {files: [{path, handle, lastModified, includes}], mainPath, groot2Project}
+    let currentProject = null;
+    let checkingFile = false;
+
+    /**
+     * 保存当前树到JSON文件
+     */
+    function saveTree() {
+        try {
+            const trees = collectTrees();
+
+            // 执行语义校验
+            if (!checkTrees(trees)) {
+                return;
+            }
+
+            // 准备要导出的数据，节点通过treeId记录所属的树
+            const treeData = {
+                formatVersion: SAVE_FORMAT_VERSION,
+                nodes: trees.flatMap(tree => tree.nodes.map(node => ({...node, treeId: tree.id}))),
+                connections: trees.flatMap(tree => tree.connections),
+                trees: trees.map(({id, description, rootId}) => ({id, description, rootId})),
+                mainTreeId: stateManager.getMainTreeId(),
+                activeTreeId: stateManager.getActiveTreeId(),
+                customNodeTypes: stateManager.getCustomNodeTypes(),
+                collapsedCategories: stateManager.getState().collapsedCategories,
+                grid: stateManager.getGrid()
+            };
+
+            // 创建Blob并使用现代File API下载
+            const blob = new Blob([JSON.stringify(treeData, null, 2)], {type: 'application/json'});
+            const url = URL.createObjectURL(blob);
+
+            // 创建下载链接
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = 'behavior_tree.json';
+            a.click();
+
+            // 清理
+            URL.revokeObjectURL(url);
+
+            logger.info('行为树保存成功');
+        } catch (error) {
+            logger.error('保存树时出错:', error);
+            showErrorToast('保存树失败: ' + error.message);
+        }
+    }
+
+    /**
+     * 从JSON文件加载树
+     */
+    function loadTree() {
+        try {
+            // 以编程方式创建文件输入
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.json';
+
+            input.onchange = async (event) => {
+                const file = event.target.files[0];
+                if (!file) return;
+
+                try {
+                    // 使用现代File API读取文件
+                    const content = await file.text();
+                    const {data, trees} = parseSaveFile(content);
+
+                    // 执行语义校验
+                    if (!checkTrees(trees)) {
+                        return;
+                    }
+
+                    // 准备要加载的状态
+                    const newState = {
+                        trees,
+                        mainTreeId: data.mainTreeId,
+                        activeTreeId: data.activeTreeId,
+                        customNodeTypes: data.customNodeTypes || [],
+                        collapsedCategories: data.collapsedCategories || {},
+                        grid: data.grid || stateManager.getGrid(),
+
+                        // 重置这些值
+                        selectedNodes: [],
+                        selectedConnection: null,
+                        pendingConnection: null,
+
+                        // 保持当前视口
+                        viewport: stateManager.getViewport(),
+
+                        // ID计数器
+                        idCounters: {
+                            nodes: calculateNextNodeId(data.nodes),
+                            connections: calculateNextConnectionId(data.connections)
+                        }
+                    };
+
+                    // 加载状态
+                    stateManager.loadState(newState);
+                    setCurrentProject(null);
+
+                    logger.info('行为树加载成功');
+                } catch (error) {
+                    logger.error('解析树文件时出错:', error);
+                    showErrorToast('解析树文件出错: ' + error.message);
+                }
+            };
+
+            // 触发文件选择
+            input.click();
+        } catch (error) {
+            logger.error('加载树时出错:', error);
+            showErrorToast('加载树失败: ' + error.message);
+        }
+    }
+
+    /**
+     * 解析编辑器保存的JSON文件
+     * @param {string} content - 文件内容
+     * @returns {Object} - 升级到当前格式的数据data，以及按treeId拆分出的各棵树trees
+     * @throws {Error} - 文件格式无效或来自更新版本的编辑器
+     */
+    function parseSaveFile(content) {
+        let data = JSON.parse(content);
+        if (!data || typeof data !== 'object') {
+            throw new Error('无效的行为树文件格式');
+        }
+
+        // 将旧版本文件升级到当前格式，更新版本的文件会在这里报错
+        data = migrateSaveData(data);
+
+        // 验证数据
+        if (!isValidTreeData(data)) {
+            throw new Error('无效的行为树文件格式');
+        }
+
+        // 按treeId拆分为各棵树
+        return {data, trees: splitIntoTrees(data)};
+    }
+
+    /**
+     * 解析JSON或XML行为树文件但不加载，用于把另一个文件合并到当前画布
+     * @param {string} fileName - 文件名，按扩展名区分格式
+     * @param {string} content - 文件内容
+     * @returns {Object} - 包含trees、mainTreeId、文件中的自定义节点类型customNodeTypes、
+     *                     unknownTypes、warnings，以及节点位置是否有效layoutRestored
+     */
+    function parseTreeFile(fileName, content) {
+        if (!isXmlFileName(fileName)) {
+            const {data, trees} = parseSaveFile(content);
+            return {
+                trees,
+                mainTreeId: data.mainTreeId,
+                customNodeTypes: data.customNodeTypes || [],
+                unknownTypes: [],
+                warnings: [],
+                layoutRestored: true
+            };
+        }
+
+        const parsed = parseBehaviorTreeXml(content);
+        const warnings = [...parsed.warnings];
+        let customNodeTypes = [];
+        if (/<TreeNodesModel[\s>]/.test(content)) {
+            const models = parseNodeModelsXml(content);
+            customNodeTypes = models.nodeTypes;
+            warnings.push(...models.warnings);
+        }
+
+        return {
+            trees: parsed.trees,
+            mainTreeId: parsed.mainTreeId,
+            customNodeTypes,
+            unknownTypes: parsed.unknownTypes,
+            warnings,
+            layoutRestored: parsed.layoutRestored
+        };
+    }
+
+    /**
+     * 从BehaviorTree.CPP XML文件导入树
+     * 可以同时选择多个文件，文件之间的<include>会被解析为一个项目；
+     * 支持File System Access API时保留文件句柄，之后的"保存"会把每棵树写回其来源文件
+     */
+    async function importXml() {
+        try {
+            if (window.showOpenFilePicker) {
+                let handles;
+                try {
+                    handles = await window.showOpenFilePicker({types: OPEN_FILE_TYPES, multiple: true});
+                } catch (error) {
+                    // 用户取消了文件选择
+                    if (error.name === 'AbortError') return;
+                    throw error;
+                }
+
+                await openProjectFiles(await Promise.all(handles.map(async handle => ({
+                    path: handle.name,
+                    handle,
+                    file: await handle.getFile()
+                }))));
+                return;
+            }
+
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = `.xml,${GROOT2_PROJECT_EXTENSION}`;
+            input.multiple = true;
+
+            input.onchange = (event) => {
+                const files = Array.from(event.target.files);
+                if (files.length === 0) return;
+
+                openProjectFiles(files.map(file => ({path: file.name, handle: null, file})));
+            };
+
+            input.click();
+        } catch (error) {
+            logger.error('导入XML时出错:', error);
+            showErrorToast('导入XML失败: ' + error.message);
+        }
+    }
+
+    /**
+     * 打开一个文件夹，其中所有行为树XML文件作为一个项目加载
+     */
+    async function openXmlFolder() {
+        try {
+            if (window.showDirectoryPicker) {
+                let dirHandle;
+                try {
+                    dirHandle = await window.showDirectoryPicker({mode: 'readwrite'});
+                } catch (error) {
+                    // 用户取消了文件夹选择
+                    if (error.name === 'AbortError') return;
+                    throw error;
+                }
+
+                await openProjectFiles(await readDirectoryHandle(dirHandle, ''));
+                return;
+            }
+
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.webkitdirectory = true;
+
+            input.onchange = (event) => {
+                const files = Array.from(event.target.files);
+                if (files.length === 0) return;
+
+                openProjectFiles(files.map(file => ({
+                    path: file.webkitRelativePath || file.name,
+                    handle: null,
+                    file
+                })));
+            };
+
+            input.click();
+        } catch (error) {
+            logger.error('打开文件夹时出错:', error);
+            showErrorToast('打开文件夹失败: ' + error.message);
+        }
+    }
+
+    /**
+     * 处理拖放到画布上的XML文件或文件夹
+     */
+    async function handleFileDrop(e) {
+        if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files')) return;
+        e.preventDefault();
+
+        try {
+            // 必须在drop事件中同步取出所有条目，之后dataTransfer会失效
+            const pending = Array.from(e.dataTransfer.items)
+                .filter(item => item.kind === 'file')
+                .map(item => {
+                    if (item.getAsFileSystemHandle) {
+                        return item.getAsFileSystemHandle().then(handle => handle.kind === 'directory' ?
+                            readDirectoryHandle(handle, `${handle.name}/`) :
+                            handle.getFile().then(file => [{path: handle.name, handle, file}]));
+                    }
+                    const entry = item.webkitGetAsEntry && item.webkitGetAsEntry();
+                    if (entry) {
+                        return readFileSystemEntry(entry);
+                    }
+                    const file = item.getAsFile();
+                    return Promise.resolve(file ? [{path: file.name, handle: null, file}] : []);
+                });
+
+            const entries = (await Promise.all(pending)).flat();
+            if (entries.length > 0) {
+                await openProjectFiles(entries);
+            }
+        } catch (error) {
+            logger.error('读取拖放的文件时出错:', error);
+            showErrorToast('导入XML失败: ' + error.message);
+        }
+    }
+
+    /**
+     * 递归读取文件夹句柄中的XML文件
+     * @param {FileSystemDirectoryHandle} dirHandle - 文件夹句柄
+     * @param {string} prefix - 文件夹在项目中的相对路径前缀
+     * @returns {Promise<Array>} - 每项包含path、handle和file
+     */
+    async function readDirectoryHandle(dirHandle, prefix) {
+        const entries = [];
+        for await (const handle of dirHandle.values()) {
+            const path = `${prefix}${handle.name}`;
+            if (handle.kind === 'directory') {
+                entries.push(...await readDirectoryHandle(handle, `${path}/`));
+            } else if (isProjectFileName(handle.name)) {
+                entries.push({path, handle, file: await handle.getFile()});
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * 递归读取不支持File System Access API时拖放的文件或文件夹，得到的文件无法写回
+     * @param {FileSystemEntry} entry - 拖放的条目
+     * @returns {Promise<Array>} - 每项包含path、handle（为null）和file
+     */
+    async function readFileSystemEntry(entry) {
+        // fullPath以"/"开头，去掉后作为项目中的相对路径
+        const path = entry.fullPath.replace(/^\/+/, '');
+
+        if (entry.isFile) {
+            if (!isProjectFileName(entry.name)) return [];
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            return [{path, handle: null, file}];
+        }
+
+        // readEntries每次只返回一部分条目，需要反复读取直到返回空数组
+        const reader = entry.createReader();
+        const children = [];
+        let batch;
+        do {
+            batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            children.push(...batch);
+        } while (batch.length > 0);
+
+        const nested = await Promise.all(children.map(readFileSystemEntry));
+        return nested.flat();
+    }
+
+    function isXmlFileName(name) {
+        return /\.xml$/i.test(name);
+    }
+
+    function isGroot2ProjectFileName(name) {
+        return name.toLowerCase().endsWith(GROOT2_PROJECT_EXTENSION);
+    }
+
+    /**
+     * 是否为项目可以包含的文件：行为树XML或Groot2项目文件
+     */
+    function isProjectFileName(name) {
+        return isXmlFileName(name) || isGroot2ProjectFileName(name);
+    }
+
+    /**
+     * 读取一组文件的内容并作为项目加载
+     * 其中有Groot2项目文件时，只加载它引用的XML文件，并从中导入节点模型
+     * @param {Array} entries - 每项包含path、handle和file
+     * @returns {Promise<boolean>} - 是否加载成功
+     */
+    async function openProjectFiles(entries) {
+        const xmlEntries = entries.filter(entry => isXmlFileName(entry.path));
+        const projectEntries = entries.filter(entry => isGroot2ProjectFileName(entry.path));
+        if (xmlEntries.length === 0 && projectEntries.length === 0) {
+            showErrorToast('未找到XML文件');
+            return false;
+        }
+
+        try {
+            const files = await Promise.all(xmlEntries.map(async entry => ({
+                ...entry,
+                content: await entry.file.text()
+            })));
+
+            let groot2Project = null;
+            if (projectEntries.length > 0) {
+                const [projectEntry] = projectEntries;
+                groot2Project = {
+                    ...parseGroot2Project(await projectEntry.file.text(), normalizeProjectPath(projectEntry.path)),
+                    handle: projectEntry.handle,
+                    lastModified: projectEntry.file.lastModified
+                };
+                if (projectEntries.length > 1) {
+                    groot2Project.warnings.push(`找到多个Groot2项目文件，只打开了 "${groot2Project.path}"`);
+                }
+            }
+
+            return loadProjectContent(files, groot2Project);
+        } catch (error) {
+            logger.error('解析XML文件时出错:', error);
+            showErrorToast('导入XML失败: ' + error.message);
+            return false;
+        }
+    }
+
+    /**
+     * 解析项目中的XML文件，跟随<include>确定主文件，并将所有树加载到编辑器
+     * @param {Array} files - 每项包含path、handle、file和content
+     * @param {Object|null} groot2Project - parseGroot2Project解析出的Groot2项目，另含handle和lastModified
+     * @returns {boolean} - 是否加载成功
+     */
+    function loadProjectContent(files, groot2Project = null) {
+        const projectWarnings = [];
+        let entryPaths = null;
+        let customNodeTypes = stateManager.getCustomNodeTypes();
+        if (groot2Project) {
+            // 先合并项目中的节点模型，使树中的节点能按模型解析类别和属性；加载成功后才写入文档
+            ({customNodeTypes} = resolveNodeModels(groot2Project.nodeTypes, projectWarnings));
+            projectWarnings.push(...groot2Project.warnings);
+
+            entryPaths = groot2Project.includes.map(include => {
+                const target = findIncludedFile(files.map(file => ({path: normalizeProjectPath(file.path)})),
+                    groot2Project.path, include.path);
+                if (!target) {
+                    projectWarnings.push(`项目 "${groot2Project.path}" 引用的 "${include.path}" 未找到，请打开整个项目文件夹`);
+                }
+                return target ? target.path : null;
+            }).filter(Boolean);
+        }
+
+        const data = parseProjectFiles(files, entryPaths, customNodeTypes);
+
+        // 执行语义校验
+        if (!checkTrees(data.trees, customNodeTypes)) {
+            return false;
+        }
+
+        stateManager.loadState({
+            trees: data.trees,
+            mainTreeId: data.mainTreeId,
+            activeTreeId: data.mainTreeId,
+            customNodeTypes,
+            collapsedCategories: stateManager.getState().collapsedCategories,
+            grid: stateManager.getGrid(),
+            idCounters: {
+                nodes: data.nodes.length,
+                connections: data.connections.length
+            }
+        });
+
+        if (data.layoutRestored) {
+            // 文件中带有编辑器布局，恢复保存时的视口
+            if (data.viewport) {
+                stateManager.updateViewport(data.viewport);
+            }
+        } else {
+            // 导入的节点只有临时位置，交给层次布局重新排列
+            eventBus.emit(EVENTS.TOOLBAR_ACTION, {action: 'auto-layout'});
+        }
+
+        setCurrentProject(data.files.map(file => ({
+            path: file.path,
+            handle: file.handle,
+            lastModified: file.file ? file.file.lastModified : 0,
+            includes: file.includes
+        })), data.mainPath, groot2Project && {
+            path: groot2Project.path,
+            name: groot2Project.name,
+            format: groot2Project.format,
+            handle: groot2Project.handle,
+            lastModified: groot2Project.lastModified,
+            includes: groot2Project.includes
+        });
+
+        const messages = [...projectWarnings, ...data.warnings];
+        if (data.unknownTypes.length > 0) {
+            messages.push(`以下节点类型未定义，已根据子节点数量推断类别: ${data.unknownTypes.join(', ')}`);
+        }
+        if (messages.length > 0) {
+            logger.warn('导入XML时的警告:', messages);
+            showErrorToast(messages);
+        }
+
+        logger.info(`从${data.files.length}个XML文件导入了${data.nodes.length}个节点`);
+        return true;
+    }
+
+    /**
+     * 解析项目中的XML文件
+     * 没有被其他文件包含的文件是入口文件，第一个声明了main_tree_to_execute的入口文件为主文件；
+     * 每棵树记录其来源文件file，保存时写回该文件
+     * @param {Array} files - 每项包含path和content
+     * @param {Array|null} entryPaths - 指定入口文件（如Groot2项目引用的文件），此时只加载入口文件及其包含的文件
+     * @param {Array} customNodeTypes - 解析时使用的自定义节点类型
+     * @returns {Object} - 与parseBehaviorTreeXml的结果相同，另含files（带解析出的includes）和mainPath
+     */
+    function parseProjectFiles(files, entryPaths = null, customNodeTypes = stateManager.getCustomNodeTypes()) {
+        const warnings = new Set();
+
+        // 先读取每个文件的根元素，非行为树的XML（如ROS的package.xml）会被跳过
+        const projectFiles = [];
+        files.forEach(file => {
+            const path = normalizeProjectPath(file.path);
+            const rootEl = parseXmlRoot(file.content, path);
+            if (!rootEl) {
+                if (files.length === 1) throw new Error('缺少<root>根元素');
+                if (!entryPaths) warnings.add(`已忽略非行为树文件: ${path}`);
+                return;
+            }
+            projectFiles.push({...file, path, rootEl, includes: parseIncludes(rootEl)});
+        });
+
+        // 解析每个<include>指向的项目文件
+        const includedPaths = new Set();
+        projectFiles.forEach(file => {
+            file.includedFiles = [];
+            file.missingIncludes = [];
+            file.includes.forEach(include => {
+                const target = findIncludedFile(projectFiles, file.path, include.path);
+                if (target) {
+                    file.includedFiles.push(target);
+                    includedPaths.add(target.path);
+                } else {
+                    file.missingIncludes.push(include);
+                }
+            });
+        });
+
+        const entryFiles = entryPaths ?
+            entryPaths.map(path => projectFiles.find(file => file.path === path)).filter(Boolean) :
+            projectFiles.filter(file => !includedPaths.has(file.path));
+        if (entryFiles.length === 0 && (entryPaths || projectFiles.length === 0)) {
+            throw new Error('未找到行为树XML文件');
+        }
+        const mainFile = entryFiles.find(file => file.rootEl.getAttribute('main_tree_to_execute')) ||
+            entryFiles[0] || projectFiles[0];
+
+        // 从主文件开始按包含关系排序，使主文件的树排在最前；指定了入口文件时不加载未被引用的文件
+        const orderedFiles = [];
+        const visit = (file) => {
+            if (orderedFiles.includes(file)) return;
+            orderedFiles.push(file);
+            file.includedFiles.forEach(visit);
+        };
+        visit(mainFile);
+        (entryPaths ? entryFiles : projectFiles).forEach(visit);
+
+        orderedFiles.forEach(file => {
+            file.includes
+                .filter(include => include.rosPkg)
+                .forEach(include => {
+                    warnings.add(`文件 "${file.path}" 中的 ros_pkg="${include.rosPkg}" 无法在浏览器中解析，将按相对路径查找 "${include.path}"`);
+                });
+            file.missingIncludes.forEach(include => {
+                warnings.add(`文件 "${file.path}" 包含的 "${include.path}" 未找到，请同时选择该文件或打开整个文件夹`);
+            });
+        });
+
+        // 节点模型可以声明在项目中的任意文件里
+        const modelCategories = Object.assign({}, ...orderedFiles.map(file => parseModelCategories(file.rootEl)));
+        const context = createParseContext(modelCategories, warnings, customNodeTypes);
+        let layoutRestored = true;
+        let format = null;
+
+        orderedFiles.forEach(file => {
+            const sourceFormat = getSourceFormat(file.rootEl, stateManager.getXmlFormat());
+            format = format || sourceFormat;
+
+            const firstTree = context.trees.length;
+            const restored = parseRootTrees(file.rootEl, sourceFormat, context);
+            const fileTrees = context.trees.slice(firstTree);
+            fileTrees.forEach(tree => {
+                tree.file = file.path;
+            });
+            if (fileTrees.length > 0) {
+                layoutRestored = layoutRestored && restored;
+            }
+        });
+
+        if (context.trees.length === 0) {
+            throw new Error('未找到<BehaviorTree>元素');
+        }
+
+        const mainTreeId = resolveMainTree(mainFile.rootEl, context.trees, warnings);
+        warnMissingSubTrees(context.trees, warnings);
+
+        return {
+            trees: context.trees,
+            mainTreeId,
+            nodes: context.nodes,
+            connections: context.connections,
+            unknownTypes: [...context.unknownTypes],
+            warnings: [...warnings],
+            format,
+            layoutRestored,
+            viewport: layoutRestored ? context.trees.find(t => t.id === mainTreeId).viewport : null,
+            files: orderedFiles,
+            mainPath: mainFile.path
+        };
+    }
+
+    /**
+     * 读取<root>下的<include>元素
+     * @returns {Array} - 每项包含path和rosPkg（可能为null）
+     */
+    function parseIncludes(rootEl) {
+        return Array.from(rootEl.children)
+            .filter(el => el.tagName === 'include' && el.getAttribute('path'))
+            .map(el => ({
+                path: el.getAttribute('path'),
+                rosPkg: el.getAttribute('ros_pkg')
+            }));
+    }
+
+    /**
+     * 在项目文件中查找<include>指向的文件
+     * 先按相对于包含者的路径精确匹配，找不到时（如绝对路径）按文件名唯一匹配
+     */
+    function findIncludedFile(projectFiles, fromPath, includePath) {
+        const resolved = resolveIncludePath(fromPath, includePath);
+        const exact = projectFiles.find(file => file.path === resolved);
+        if (exact) return exact;
+
+        const fileName = resolved.split('/').pop();
+        const sameName = projectFiles.filter(file => file.path.split('/').pop() === fileName);
+        return sameName.length === 1 ? sameName[0] : null;
+    }
+
+    /**
+     * 将<include>的路径解析为相对于项目根目录的路径
+     */
+    function resolveIncludePath(fromPath, includePath) {
+        const normalized = normalizeProjectPath(includePath);
+        const parts = includePath.startsWith('/') ? [] : fromPath.split('/').slice(0, -1);
+
+        normalized.split('/').forEach(part => {
+            if (part === '..') {
+                parts.pop();
+            } else if (part && part !== '.') {
+                parts.push(part);
+            }
+        });
+        return parts.join('/');
+    }
+
+    function normalizeProjectPath(path) {
+        return path.replace(/\\/g, '/').replace(/^\.\//, '');
+    }
+
+    /**
+     * 记录当前编辑的XML项目
+     * 只打开了一个文件时也作为只有一个文件的项目记录
+     * @param {Array|null} files - 每项包含path、handle（不支持File System Access API时为null）、lastModified和includes
+     * @param {string|null} mainPath - 主文件路径
+     * @param {Object|null} groot2Project - 项目对应的Groot2项目文件 {path, name, handle, lastModified, includes}
+     */
+    function setCurrentProject(files, mainPath = null, groot2Project = null) {
+        currentProject = files && files.length > 0 ?
+            {files, mainPath: mainPath || files[0].path, groot2Project} :
+            null;
+        updateCurrentFileLabel();
+    }
+
+    /**
+     * 在工具栏中显示当前文件名，项目包含多个文件时显示文件数量
+     */
+    function updateCurrentFileLabel() {
+        const label = document.getElementById('current-file-name');
+        if (!label) return;
+
+        if (!currentProject) {
+            label.textContent = '';
+            label.title = '';
+            return;
+        }
+
+        const {files, mainPath, groot2Project} = currentProject;
+        const paths = files.map(file => file.path);
+        if (groot2Project) {
+            // Groot2项目显示项目文件名和其中的XML文件数量
+            label.textContent = `${groot2Project.path.split('/').pop()} (${files.length})`;
+            label.title = [groot2Project.path, ...paths].join('\n');
+            return;
+        }
+
+        const mainName = mainPath.split('/').pop();
+        label.textContent = files.length > 1 ? `${mainName} (+${files.length - 1})` : mainName;
+        label.title = paths.join('\n');
+    }
+
+    /**
+     * 生成待保存的XML，校验失败时返回null
+     * @param {Object|null} scope - 只生成项目中一个文件的内容，见generateBehaviorTreeXml
+     */
+    function generateXmlForSave(scope = null) {
+        if (!checkTrees(collectTrees())) {
+            return null;
+        }
+
+        const warnings = [];
+        const xmlStr = generateBehaviorTreeXml(stateManager.getXmlFormat(), warnings, scope);
+        if (warnings.length > 0) {
+            logger.warn('导出XML时的警告:', warnings);
+            showErrorToast(warnings);
+        }
+        return xmlStr;
+    }
+
+    /**
+     * 按树的来源文件生成项目中每个文件的XML
+     * 新建的树和来源文件已不在项目中的树写入主文件
+     * @returns {Array|null} - 每项包含file和xmlStr，校验失败时返回null
+     */
+    function generateProjectXml() {
+        if (!checkTrees(collectTrees())) {
+            return null;
+        }
+
+        const projectPaths = currentProject.files.map(file => file.path);
+        const fileOfTree = (tree) => projectPaths.includes(tree.file) ? tree.file : currentProject.mainPath;
+
+        const warnings = [];
+        const outputs = currentProject.files.map(file => {
+            const isMain = file.path === currentProject.mainPath;
+            return {
+                file,
+                xmlStr: generateBehaviorTreeXml(stateManager.getXmlFormat(), warnings, {
+                    treeIds: stateManager.getTrees().filter(tree => fileOfTree(tree) === file.path).map(tree => tree.id),
+                    includes: file.includes,
+                    isMain
+                })
+            };
+        });
+
+        if (warnings.length > 0) {
+            logger.warn('导出XML时的警告:', warnings);
+            showErrorToast(warnings);
+        }
+        return outputs;
+    }
+
+    /**
+     * 保存XML：把每棵树写回其来源文件，并更新Groot2项目文件；没有可写回的文件时执行"另存为"
+     */
+    async function saveXml() {
+        if (!currentProject) {
+            return saveXmlAs();
+        }
+
+        const {groot2Project} = currentProject;
+        const writable = currentProject.files.every(file => file.handle) && (!groot2Project || groot2Project.handle);
+        if (!writable && currentProject.files.length === 1 && !groot2Project) {
+            return saveXmlAs();
+        }
+
+        const outputs = generateProjectXml();
+        if (outputs === null) return;
+
+        if (groot2Project) {
+            const warnings = [];
+            outputs.push({file: groot2Project, xmlStr: generateGroot2ProjectXml(groot2Project, warnings)});
+            if (warnings.length > 0) {
+                logger.warn('保存Groot2项目时的警告:', warnings);
+            }
+        }
+
+        try {
+            if (!writable) {
+                // 无法写回时逐个下载，文件名保持原样以便覆盖项目中的文件
+                outputs.forEach(({file, xmlStr}) => downloadXml(xmlStr, file.path.split('/').pop()));
+                logger.info(`已下载项目中的${outputs.length}个文件`);
+                return;
+            }
+
+            for (const {file, xmlStr} of outputs) {
+                await writeXmlFile(file, xmlStr);
+            }
+            logger.info(`已保存 ${outputs.map(({file}) => file.path).join(', ')}`);
+        } catch (error) {
+            logger.error('保存XML时出错:', error);
+            showErrorToast('保存XML失败: ' + error.message);
+        }
+    }
+
+    /**
+     * 另存为XML：所有树合并写入一个文件，支持File System Access API时选择保存位置，否则下载文件
+     * 保存后编辑器关联到新文件
+     */
+    async function saveXmlAs() {
+        const xmlStr = generateXmlForSave();
+        if (xmlStr === null) return;
+
+        const suggestedName = currentProject ?
+            currentProject.mainPath.split('/').pop() :
+            `${stateManager.getMainTreeId()}.xml`;
+
+        try {
+            if (window.showSaveFilePicker) {
+                let handle;
+                try {
+                    handle = await window.showSaveFilePicker({suggestedName, types: XML_FILE_TYPES});
+                } catch (error) {
+                    // 用户取消了保存
+                    if (error.name === 'AbortError') return;
+                    throw error;
+                }
+
+                const file = {path: handle.name, handle, lastModified: 0, includes: []};
+                await writeXmlFile(file, xmlStr);
+                setCurrentProject([file]);
+                logger.info(`已保存到 ${file.path}`);
+                return;
+            }
+
+            // 回退到下载
+            downloadXml(xmlStr, suggestedName);
+            logger.info(`已下载 ${suggestedName}`);
+        } catch (error) {
+            logger.error('另存XML时出错:', error);
+            showErrorToast('保存XML失败: ' + error.message);
+        }
+    }
+
+    /**
+     * 以下载方式保存XML
+     */
+    function downloadXml(xmlStr, fileName) {
+        const blob = new Blob([xmlStr], {type: 'application/xml'});
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * 将XML写入项目文件的句柄，并记录写入后的修改时间
+     */
+    async function writeXmlFile(file, xmlStr) {
+        const {handle} = file;
+        if (handle.requestPermission && await handle.requestPermission({mode: 'readwrite'}) !== 'granted') {
+            throw new Error(`没有写入文件 "${file.path}" 的权限`);
+        }
+
+        const writable = await handle.createWritable();
+        await writable.write(xmlStr);
+        await writable.close();
+
+        // 记录写入后的修改时间，避免把自己的保存当作外部修改
+        file.lastModified = (await handle.getFile()).lastModified;
+    }
+
+    /**
+     * 检查项目中的文件（包括Groot2项目文件）是否在磁盘上被其他程序修改，如有则询问是否重新加载整个项目
+     */
+    async function checkCurrentFileChanged() {
+        if (!currentProject || checkingFile) return;
+
+        const files = [...currentProject.files, currentProject.groot2Project]
+            .filter(file => file && file.handle);
+        if (files.length === 0) return;
+
+        checkingFile = true;
+        try {
+            const diskFiles = await Promise.all(files.map(file => file.handle.getFile()));
+            const changed = files.filter((file, index) => diskFiles[index].lastModified > file.lastModified);
+            if (changed.length === 0) return;
+
+            // 无论是否重新加载，同一次修改只提示一次
+            files.forEach((file, index) => {
+                file.lastModified = diskFiles[index].lastModified;
+            });
+
+            const names = changed.map(file => file.path).join('、');
+            if (confirm(`文件 "${names}" 已在磁盘上被修改，是否重新加载？未保存的更改将丢失。`)) {
+                const mainPath = currentProject.mainPath;
+                const entries = files.map((file, index) => ({
+                    path: file.path,
+                    handle: file.handle,
+                    file: diskFiles[index]
+                }));
+                // 主文件排在最前，使其在多个入口文件中仍被选为主文件
+                entries.sort((a, b) => (b.path === mainPath) - (a.path === mainPath));
+                await openProjectFiles(entries);
+            }
+        } catch (error) {
+            logger.warn('检查文件修改时出错:', error);
+        } finally {
+            checkingFile = false;
+        }
+    }
+
+    /**
+     * 解析Groot2项目文件(.btproj)
+     * 项目文件的<root>下用<include>列出树XML文件，并在<TreeNodesModel>中声明节点模型
+     * @param {string} content - 项目文件文本
+     * @param {string} path - 项目文件在项目中的相对路径
+     * @returns {Object} - 包含path、name、includes、nodeTypes和warnings
+     */
+    function parseGroot2Project(content, path) {
+        const rootEl = parseXmlRoot(content, path);
+        if (!rootEl) {
+            throw new Error(`项目文件 "${path}" 缺少<root>根元素`);
+        }
+
+        const hasModels = Array.from(rootEl.children).some(el => el.tagName === 'TreeNodesModel');
+        const {nodeTypes, warnings} = hasModels ? parseNodeModelsXml(content) : {nodeTypes: [], warnings: []};
+
+        return {
+            path,
+            name: rootEl.getAttribute('project_name') || path.split('/').pop().slice(0, -GROOT2_PROJECT_EXTENSION.length),
+            includes: parseIncludes(rootEl),
+            nodeTypes,
+            warnings
+        };
+    }
+
+    /**
+     * 生成Groot2项目文件：列出项目中的XML文件，并写入全部自定义节点模型
+     */
+    function generateGroot2ProjectXml(groot2Project, warnings) {
+        const format = stateManager.getXmlFormat();
+        const warningSet = new Set();
+
+        let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+        xml += `<root BTCPP_format="${format}" project_name="${escapeXml(groot2Project.name)}">\n`;
+
+        groot2Project.includes.forEach(include => {
+            xml += `  <include path="${escapeXml(include.path)}"/>\n`;
+        });
+
+        xml += '  <TreeNodesModel>\n';
+        stateManager.getCustomNodeTypes().forEach(nodeType => {
+            xml += generateNodeModelXml(nodeType, 4, warningSet);
+        });
+        xml += '  </TreeNodesModel>\n';
+        xml += '</root>\n';
+
+        warnings.push(...warningSet);
+        return xml;
+    }
+
+    /**
+     * 保存为Groot2项目
+     * 已打开Groot2项目时更新项目文件及其XML文件；否则选择一个文件夹，
+     * 在其中写入当前的XML文件（没有打开的文件时为一个以主树命名的文件）和引用它们的项目文件
+     */
+    async function saveGroot2Project() {
+        if (currentProject && currentProject.groot2Project) {
+            return saveXml();
+        }
+
+        if (!checkTrees(collectTrees())) {
+            return;
+        }
+
+        const projectName = stateManager.getMainTreeId();
+        const files = currentProject ?
+            currentProject.files.map(file => ({path: file.path, handle: null, lastModified: 0, includes: file.includes})) :
+            [{path: `${projectName}.xml`, handle: null, lastModified: 0, includes: []}];
+        const mainPath = currentProject ? currentProject.mainPath : files[0].path;
+        const groot2Project = {
+            path: `${projectName}${GROOT2_PROJECT_EXTENSION}`,
+            name: projectName,
+            handle: null,
+            lastModified: 0,
+            includes: files.map(file => ({path: file.path, rosPkg: null}))
+        };
+
+        try {
+            if (window.showDirectoryPicker) {
+                let dirHandle;
+                try {
+                    dirHandle = await window.showDirectoryPicker({mode: 'readwrite'});
+                } catch (error) {
+                    // 用户取消了文件夹选择
+                    if (error.name === 'AbortError') return;
+                    throw error;
+                }
+
+                for (const file of [...files, groot2Project]) {
+                    file.handle = await getFileHandleForPath(dirHandle, file.path);
+                }
+            }
+
+            // 没有文件夹句柄时，saveXml会逐个下载项目中的文件
+            setCurrentProject(files, mainPath, groot2Project);
+            await saveXml();
+        } catch (error) {
+            logger.error('保存Groot2项目时出错:', error);
+            showErrorToast('保存Groot2项目失败: ' + error.message);
+        }
+    }
+
+    /**
+     * 在文件夹中按相对路径获取文件句柄，不存在的子文件夹和文件会被创建
+     */
+    async function getFileHandleForPath(dirHandle, path) {
+        const parts = path.split('/');
+        let dir = dirHandle;
+        for (const part of parts.slice(0, -1)) {
+            dir = await dir.getDirectoryHandle(part, {create: true});
+        }
+        return dir.getFileHandle(parts[parts.length - 1], {create: true});
+    }
+
+    /**
+     * 从TreeNodesModel XML文件导入节点类型到节点面板
+     * 已存在的自定义类型会被原地更新
+     */
+    function importNodeModels() {
+        try {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.xml';
+
+            input.onchange = async (event) => {
+                const file = event.target.files[0];
+                if (!file) return;
+
+                try {
+                    const content = await file.text();
+                    const {nodeTypes, warnings} = parseNodeModelsXml(content);
+                    const {added, updated} = mergeNodeModels(nodeTypes, warnings);
+
+                    if (warnings.length > 0) {
+                        logger.warn('导入节点模型时的警告:', warnings);
+                        showErrorToast(warnings);
+                    }
+
+                    logger.info(`导入节点模型: 新增${added}个，更新${updated}个`);
+                } catch (error) {
+                    logger.error('解析节点模型文件时出错:', error);
+                    showErrorToast('导入节点模型失败: ' + error.message);
+                }
+            };
+
+            input.click();
+        } catch (error) {
+            logger.error('导入节点模型时出错:', error);
+            showErrorToast('导入节点模型失败: ' + error.message);
+        }
+    }
+
+    /**
+     * 将解析出的节点模型合并到自定义节点类型中
+     * @param {Array} nodeTypes - parseNodeModelsXml解析出的节点类型
+     * @param {Array} warnings - 收集被跳过的内置类型
+     * @returns {Object} - 新增数量added和更新数量updated
+     */
+    function mergeNodeModels(nodeTypes, warnings) {
+        const {added, updated} = resolveNodeModels(nodeTypes, warnings);
+
+        updated.forEach(nodeType => stateManager.updateCustomNodeType(nodeType.type, nodeType));
+        added.forEach(nodeType => stateManager.addCustomNodeType(nodeType));
+
+        return {added: added.length, updated: updated.length};
+    }
+
+    /**
+     * 计算节点模型合并后的自定义节点类型列表，不修改当前文档
+     * @param {Array} nodeTypes - parseNodeModelsXml解析出的节点类型
+     * @param {Array} warnings - 收集被跳过的内置类型
+     * @returns {Object} - 合并后的列表customNodeTypes，以及其中新增的added和更新后的updated
+     */
+    function resolveNodeModels(nodeTypes, warnings) {
+        const customNodeTypes = [...stateManager.getCustomNodeTypes()];
+        const added = [];
+        const updated = [];
+
+        nodeTypes.forEach(nodeType => {
+            const index = customNodeTypes.findIndex(nt => nt.type === nodeType.type);
+
+            if (index !== -1) {
+                // 保留用户修改过的显示名称和描述
+                const existing = customNodeTypes[index];
+                customNodeTypes[index] = {
+                    ...nodeType,
+                    name: existing.name,
+                    description: nodeType.description || existing.description
+                };
+                updated.push(customNodeTypes[index]);
+            } else if (findNodeDefinitionByType(nodeType.type)) {
+                warnings.push(`${nodeType.type} 是内置节点类型，已跳过`);
+            } else {
+                customNodeTypes.push(nodeType);
+                added.push(nodeType);
+            }
+        });
+
+        return {customNodeTypes, added, updated};
+    }
+
+    /**
+     * 将TreeNodesModel XML解析为自定义节点类型定义
+     * 支持 <root> 下的 <TreeNodesModel>，也支持以 <TreeNodesModel> 为根元素的文件
+     * @param {string} xmlStr - XML文本
+     * @returns {Object} - 包含nodeTypes和warnings
+     */
+    function parseNodeModelsXml(xmlStr) {
+        const doc = new DOMParser().parseFromString(xmlStr, 'application/xml');
+
+        const parserError = doc.querySelector('parsererror');
+        if (parserError) {
+            throw new Error('XML格式错误: ' + parserError.textContent.trim());
+        }
+
+        const docEl = doc.documentElement;
+        const modelEl = docEl.tagName === 'TreeNodesModel'
+            ? docEl
+            : Array.from(docEl.children).find(el => el.tagName === 'TreeNodesModel');
+        if (!modelEl) {
+            throw new Error('未找到<TreeNodesModel>元素');
+        }
+
+        const nodeTypes = [];
+        const warnings = [];
+
+        Array.from(modelEl.children).forEach(el => {
+            const type = el.getAttribute('ID');
+            // 旧版导出格式使用 <Node ID=".." NodeType=".."/>
+            const tag = el.tagName === 'Node' ? el.getAttribute('NodeType') : el.tagName;
+            const category = getCategoryForModelTag(tag);
+
+            if (!type) {
+                warnings.push(`<${el.tagName}> 缺少ID属性，已跳过`);
+                return;
+            }
+            if (!category) {
+                warnings.push(`${type} 的模型标签 <${tag}> 无法识别，已跳过`);
+                return;
+            }
+            if (nodeTypes.some(nt => nt.type === type)) {
+                warnings.push(`${type} 重复定义，仅保留第一个`);
+                return;
+            }
+
+            const constraints = getDefaultConstraintsForCategory(category);
+            const descriptionEl = Array.from(el.children).find(child => child.tagName === 'description');
+
+            nodeTypes.push({
+                type,
+                name: type,
+                category,
+                builtin: false,
+                description: descriptionEl ? descriptionEl.textContent.trim() : '',
+                properties: parseModelPorts(el),
+                maxChildren: constraints.maxChildren,
+                canBeChildless: constraints.canBeChildless
+            });
+        });
+
+        return {nodeTypes, warnings};
+    }
+
+    /**
+     * 将模型元素中的 input_port/output_port/inout_port 转换为属性定义
+     */
+    function parseModelPorts(modelEl) {
+        const portDirections = Object.fromEntries(
+            Object.entries(PORT_DIRECTION_TAGS).map(([direction, tag]) => [tag, direction])
+        );
+
+        return Array.from(modelEl.children)
+            .filter(el => portDirections[el.tagName] && el.getAttribute('name'))
+            .map(el => {
+                const portType = el.getAttribute('type') || '';
+                return {
+                    name: el.getAttribute('name'),
+                    type: getPropertyTypeForPort(portType),
+                    direction: portDirections[el.tagName],
+                    portType,
+                    default: el.getAttribute('default') || '',
+                    description: el.textContent.trim()
+                };
+            });
+    }
+
+    /**
+     * 将BehaviorTree.CPP XML解析为节点和连接
+     * @param {string} xmlStr - XML文本
+     * @param {string} format - 文件未声明BTCPP_format时使用的格式版本
+     * @returns {Object} - 包含trees（每棵树含id、description、rootId、nodes、connections）、mainTreeId、
+     *                     全部nodes和connections、unknownTypes、warnings、实际使用的format，
+     *                     以及从<EditorLayout>恢复布局的结果layoutRestored和viewport
+     */
+    function parseBehaviorTreeXml(xmlStr, format = stateManager.getXmlFormat()) {
+        const rootEl = parseXmlRoot(xmlStr);
+        if (!rootEl) {
+            throw new Error('缺少<root>根元素');
+        }
+
+        const sourceFormat = getSourceFormat(rootEl, format);
+        const warnings = new Set();
+        const context = createParseContext(parseModelCategories(rootEl), warnings);
+        const layoutRestored = parseRootTrees(rootEl, sourceFormat, context);
+
+        if (context.trees.length === 0) {
+            throw new Error('未找到<BehaviorTree>元素');
+        }
+
+        const mainTreeId = resolveMainTree(rootEl, context.trees, warnings);
+        const {trees, nodes, connections} = context;
+
+        return {
+            trees,
+            mainTreeId,
+            nodes,
+            connections,
+            unknownTypes: [...context.unknownTypes],
+            warnings: [...warnings],
+            format: sourceFormat,
+            layoutRestored,
+            viewport: layoutRestored ? trees.find(t => t.id === mainTreeId).viewport : null
+        };
+    }
+
+    /**
+     * 解析剪贴板中的XML片段，可以是完整的<root>文档、单个<BehaviorTree>或若干节点元素
+     * @param {string} text - XML文本
+     * @param {string} format - 片段未声明BTCPP_format时使用的格式版本
+     * @returns {Object} - 包含nodes、connections（子节点顺序保存在index中）、unknownTypes和warnings，
+     *                     完整文档只取主树
+     */
+    function parseXmlSnippet(text, format = stateManager.getXmlFormat()) {
+        let xmlStr = text.trim().replace(/^<\?xml[^>]*\?>\s*/, '');
+        if (!xmlStr.startsWith('<root')) {
+            if (!xmlStr.startsWith('<BehaviorTree')) {
+                xmlStr = `<BehaviorTree ID="Clipboard">${xmlStr}</BehaviorTree>`;
+            }
+            xmlStr = `<root>${xmlStr}</root>`;
+        }
+
+        const rootEl = parseXmlRoot(xmlStr);
+        if (!rootEl) {
+            throw new Error('缺少<root>根元素');
+        }
+
+        const sourceFormat = getSourceFormat(rootEl, format);
+        const warnings = new Set();
+        const context = createParseContext(parseModelCategories(rootEl), warnings);
+        parseRootTrees(rootEl, sourceFormat, context);
+
+        if (context.nodes.length === 0) {
+            throw new Error('剪贴板中没有行为树节点');
+        }
+
+        const mainTreeId = resolveMainTree(rootEl, context.trees, warnings);
+        const mainTree = context.trees.find(t => t.id === mainTreeId);
+        if (context.trees.length > 1) {
+            warnings.add(`剪贴板中包含${context.trees.length}棵行为树，只粘贴了 "${mainTreeId}"`);
+        }
+
+        return {
+            nodes: mainTree.nodes,
+            connections: mainTree.connections,
+            unknownTypes: [...context.unknownTypes],
+            warnings: [...warnings]
+        };
+    }
+
+    /**
+     * 解析XML文本并返回<root>元素
+     * @param {string} xmlStr - XML文本
+     * @param {string} fileName - 出错时提示的文件名
+     * @returns {Element|null} - 根元素不是<root>时返回null
+     */
+    function parseXmlRoot(xmlStr, fileName = '') {
+        const doc = new DOMParser().parseFromString(xmlStr, 'application/xml');
+
+        const parserError = doc.querySelector('parsererror');
+        if (parserError) {
+            const prefix = fileName ? `文件 "${fileName}" ` : '';
+            throw new Error(`${prefix}XML格式错误: ` + parserError.textContent.trim());
+        }
+
+        const rootEl = doc.documentElement;
+        return rootEl.tagName === 'root' ? rootEl : null;
+    }
+
+    /**
+     * 读取文件声明的BTCPP_format，未声明时使用给定格式
+     */
+    function getSourceFormat(rootEl, format) {
+        const sourceFormat = rootEl.getAttribute('BTCPP_format') || format;
+        if (!BTCPP_FORMATS.includes(sourceFormat)) {
+            throw new Error(`不支持的BTCPP_format: ${sourceFormat}`);
+        }
+        return sourceFormat;
+    }
+
+    /**
+     * 创建解析上下文，多个文件共用一个上下文时节点、连接和树的ID在所有文件中唯一
+     * @param {Object} modelCategories - TreeNodesModel中声明的类型到类别的映射
+     * @param {Set} warnings - 收集解析警告
+     * @param {Array} customNodeTypes - 解析时使用的自定义节点类型
+     */
+    function createParseContext(modelCategories, warnings, customNodeTypes = stateManager.getCustomNodeTypes()) {
+        return {
+            modelCategories,
+            customNodeTypes,
+            nodes: [],
+            connections: [],
+            trees: [],
+            unknownTypes: new Set(),
+            warnings
+        };
+    }
+
+    /**
+     * 解析<root>下的所有<BehaviorTree>，结果追加到解析上下文中
+     * @param {Element} rootEl - 根元素
+     * @param {string} sourceFormat - 文件的格式版本
+     * @param {Object} context - 解析上下文
+     * @returns {boolean} - 是否从<EditorLayout>恢复了这些树的布局
+     */
+    function parseRootTrees(rootEl, sourceFormat, context) {
+        const {modelCategories, customNodeTypes, nodes, connections, trees, unknownTypes, warnings} = context;
+        const treeElements = Array.from(rootEl.children).filter(el => el.tagName === 'BehaviorTree');
+        const editorLayout = parseEditorLayout(rootEl);
+
+        // 叶子节点按出现顺序占用列，使临时X坐标保持兄弟节点的顺序
+        let leafColumn = 0;
+
+        function importNodeElement(el, parentId, depth, childIndex) {
+            const {type, attributes, wrapperCategory} = normalizeNodeElement(el, sourceFormat, warnings);
+            const childElements = Array.from(el.children);
+            const nodeTypeDef = findNodeDefinitionByType(type, customNodeTypes);
+
+            let category = nodeTypeDef ? nodeTypeDef.category : (wrapperCategory || modelCategories[type]);
+            if (!category) {
+                category = inferCategoryFromChildren(childElements.length);
+                unknownTypes.add(type);
+            }
+
+            const node = {
+                id: `node_${nodes.length}`,
+                type,
+                name: attributes.name || (nodeTypeDef ? nodeTypeDef.name || type : type),
+                category,
+                x: 0,
+                y: depth * (config.nodeHeight + config.layout.nodeSpacingY),
+                properties: parseNodeAttributes(type, attributes, nodeTypeDef)
+            };
+            nodes.push(node);
+
+            if (parentId) {
+                connections.push({
+                    id: `conn_${connections.length}`,
+                    source: parentId,
+                    target: node.id,
+                    index: childIndex
+                });
+            }
+
+            if (childElements.length === 0) {
+                node.x = leafColumn * (config.nodeWidth + config.layout.nodeSpacingX);
+                leafColumn++;
+            } else {
+                const childNodes = childElements.map((childEl, index) => importNodeElement(childEl, node.id, depth + 1, index));
+                node.x = childNodes[0].x;
+            }
+
+            return node;
+        }
+
+        let layoutRestored = editorLayout !== null;
+
+        treeElements.forEach(treeEl => {
+            const firstNode = nodes.length;
+            const firstConnection = connections.length;
+            leafColumn = 0;
+            Array.from(treeEl.children).forEach(el => importNodeElement(el, null, 0, 0));
+
+            const declaredId = treeEl.getAttribute('ID') || config.trees.defaultTreeId;
+            let id = declaredId;
+            for (let suffix = 2; trees.some(t => t.id === id); suffix++) {
+                id = `${declaredId}_${suffix}`;
+            }
+            if (id !== declaredId) {
+                warnings.add(`重复的BehaviorTree ID "${declaredId}" 已重命名为 "${id}"`);
+            }
+
+            const treeNodes = nodes.slice(firstNode);
+            const treeLayout = editorLayout ? editorLayout.trees[declaredId] : null;
+            if (editorLayout) {
+                layoutRestored = applyTreeLayout(treeNodes, treeLayout && treeLayout.positions) && layoutRestored;
+            }
+
+            trees.push({
+                id,
+                description: treeLayout ? treeLayout.description : '',
+                viewport: treeLayout ? treeLayout.viewport : null,
+                rootId: treeNodes.length > 0 ? treeNodes[0].id : null,
+                nodes: treeNodes,
+                connections: connections.slice(firstConnection)
+            });
+        });
+
+        if (editorLayout && !layoutRestored) {
+            warnings.add('编辑器布局信息与树结构不一致，已重新自动布局');
+        }
+
+        return layoutRestored;
+    }
+
+    /**
+     * 根据main_tree_to_execute确定主树，未指定或找不到时使用第一棵树
+     */
+    function resolveMainTree(rootEl, trees, warnings) {
+        let mainTreeId = trees[0].id;
+        const declaredMainTree = rootEl.getAttribute('main_tree_to_execute');
+        if (declaredMainTree) {
+            if (trees.some(t => t.id === declaredMainTree)) {
+                mainTreeId = declaredMainTree;
+            } else {
+                warnings.add(`main_tree_to_execute 指定的树 "${declaredMainTree}" 不存在，已使用 "${mainTreeId}"`);
+            }
+        }
+        return mainTreeId;
+    }
 
-export function initSerialization(elements, state) {
-    const stateManager = state;
+    /**
+     * 检查SubTree节点引用的树是否都已加载
+     */
+    function warnMissingSubTrees(trees, warnings) {
+        trees.forEach(tree => {
+            tree.nodes
+                .filter(node => node.category === 'subtree' && node.properties && node.properties.ID)
+                .filter(node => !trees.some(t => t.id === node.properties.ID))
+                .forEach(node => {
+                    warnings.add(`行为树 "${tree.id}" 中的SubTree引用了未定义的树 "${node.properties.ID}"`);
+                });
+        });
+    }
 
     /**
-     * 保存当前树到JSON文件
+     * 读取<root>下的<EditorLayout>元数据
+     * @returns {Object|null} - 包含按树ID分组的描述、视口及节点坐标（按前序遍历索引）
      */
-    function saveTree() {
-        try {
-            const nodes = stateManager.getNodes();
-            const connections = stateManager.getConnections();
+    function parseEditorLayout(rootEl) {
+        const layoutEl = Array.from(rootEl.children).find(el => el.tagName === EDITOR_LAYOUT_TAG);
+        if (!layoutEl) return null;
+
+        const trees = {};
+        Array.from(layoutEl.children)
+            .filter(el => el.tagName === 'Tree')
+            .forEach(treeEl => {
+                const viewport = {};
+                ['scale', 'offsetX', 'offsetY'].forEach(key => {
+                    const value = parseFloat(treeEl.getAttribute(key));
+                    if (!isNaN(value)) viewport[key] = value;
+                });
+
+                const positions = [];
+                Array.from(treeEl.children)
+                    .filter(el => el.tagName === 'Node')
+                    .forEach(nodeEl => {
+                        const index = parseInt(nodeEl.getAttribute('index'), 10);
+                        const x = parseFloat(nodeEl.getAttribute('x'));
+                        const y = parseFloat(nodeEl.getAttribute('y'));
+                        if (!isNaN(index) && !isNaN(x) && !isNaN(y)) {
+                            positions[index] = {x, y};
+                        }
+                    });
+                trees[treeEl.getAttribute('ID')] = {
+                    description: treeEl.getAttribute('description') || '',
+                    viewport: Object.keys(viewport).length === 3 ? viewport : null,
+                    positions
+                };
+            });
 
-            // 执行语义校验
-            const validation = validateTreeSemantics(nodes, connections);
-            if (!validation.isValid) {
-                showErrorToast(validation.message);
-                return;
-            }
+        return {trees};
+    }
 
-            // 准备要导出的数据
-            const treeData = {
-                nodes: nodes,
-                connections: connections,
-                customNodeTypes: stateManager.getCustomNodeTypes(),
-                collapsedCategories: stateManager.getState().collapsedCategories,
-                grid: stateManager.getGrid()
-            };
+    /**
+     * 将布局中记录的坐标按前序遍历索引应用到一棵树的节点上
+     * @returns {boolean} - 是否每个节点都找到了坐标
+     */
+    function applyTreeLayout(treeNodes, positions) {
+        if (!positions || positions.length !== treeNodes.length) return false;
+
+        const complete = treeNodes.every((node, index) => positions[index]);
+        if (complete) {
+            treeNodes.forEach((node, index) => {
+                node.x = positions[index].x;
+                node.y = positions[index].y;
+            });
+        }
+        return complete;
+    }
 
-            // 创建Blob并使用现代File API下载
-            const blob = new Blob([JSON.stringify(treeData, null, 2)], {type: 'application/json'});
-            const url = URL.createObjectURL(blob);
+    /**
+     * 读取节点元素的类型和属性，v3格式会被转换为v4的写法
+     * @param {Element} el - 节点元素
+     * @param {string} format - 文件的格式版本
+     * @param {Set} warnings - 收集转换警告
+     * @returns {Object} - 包含type、attributes和wrapperCategory（v3包装标签声明的类别）
+     */
+    function normalizeNodeElement(el, format, warnings) {
+        const attributes = {};
+        Array.from(el.attributes).forEach(attr => {
+            attributes[attr.name] = attr.value;
+        });
 
-            // 创建下载链接
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = 'behavior_tree.json';
-            a.click();
+        if (format !== '3') {
+            return {type: el.tagName, attributes, wrapperCategory: null};
+        }
 
-            // 清理
-            URL.revokeObjectURL(url);
+        // v3中 <Action ID="Foo"/> 等价于v4中的 <Foo/>
+        let type = el.tagName;
+        let wrapperCategory = null;
+        if (V3_WRAPPER_TAGS[type] && attributes.ID) {
+            wrapperCategory = V3_WRAPPER_TAGS[type];
+            type = attributes.ID;
+            delete attributes.ID;
+        }
 
-            logger.info('行为树保存成功');
-        } catch (error) {
-            logger.error('保存树时出错:', error);
-            showErrorToast('保存树失败: ' + error.message);
+        const converted = convertTypeFromV3(type);
+        if (!converted.supported) {
+            warnings.add(`${type} 在BTCPP v4中没有对应的节点`);
+        }
+
+        const v4Attributes = {};
+        Object.entries(attributes).forEach(([name, value]) => {
+            v4Attributes[convertAttributeFromV3(converted.type, name)] = value;
+        });
+
+        // v3的SubTree通过__shared_blackboard共享黑板，v4中最接近的是_autoremap
+        if (converted.type === 'SubTree' && v4Attributes.__shared_blackboard !== undefined) {
+            v4Attributes._autoremap = v4Attributes.__shared_blackboard;
+            delete v4Attributes.__shared_blackboard;
+            warnings.add('SubTree的__shared_blackboard已转换为_autoremap，两者语义并不完全相同');
         }
+
+        return {type: converted.type, attributes: v4Attributes, wrapperCategory};
     }
 
     /**
-     * 从JSON文件加载树
+     * 读取XML中TreeNodesModel声明的节点类别
+     * @param {Element} rootEl - <root>元素
+     * @returns {Object} - 节点类型到类别的映射
      */
-    function loadTree() {
-        try {
-            // 以编程方式创建文件输入
-            const input = document.createElement('input');
-            input.type = 'file';
-            input.accept = '.json';
-
-            input.onchange = async (event) => {
-                const file = event.target.files[0];
-                if (!file) return;
+    function parseModelCategories(rootEl) {
+        const categories = {};
+        const modelEl = Array.from(rootEl.children).find(el => el.tagName === 'TreeNodesModel');
+        if (!modelEl) return categories;
+
+        Array.from(modelEl.children).forEach(el => {
+            const id = el.getAttribute('ID');
+            // 旧版导出格式使用 <Node ID=".." NodeType=".."/>
+            const tag = el.tagName === 'Node' ? el.getAttribute('NodeType') : el.tagName;
+            const category = getCategoryForModelTag(tag);
+
+            if (id && category) {
+                categories[id] = category;
+            }
+        });
 
-                try {
-                    // 使用现代File API读取文件
-                    const content = await file.text();
-                    const data = JSON.parse(content);
+        return categories;
+    }
 
-                    // 验证数据
-                    if (!isValidTreeData(data)) {
-                        throw new Error('无效的行为树文件格式');
-                    }
+    /**
+     * 对未定义的节点类型，根据子节点数量推断类别
+     */
+    function inferCategoryFromChildren(childCount) {
+        if (childCount === 0) return 'action';
+        if (childCount === 1) return 'decorator';
+        return 'composite';
+    }
 
-                    // 执行语义校验
-                    const validation = validateTreeSemantics(data.nodes || [], data.connections || []);
-                    if (!validation.isValid) {
-                        showErrorToast(validation.message);
-                        return;
-                    }
+    /**
+     * 将XML元素的属性转换为节点属性
+     * @param {string} type - 节点类型
+     * @param {Object} attributes - 元素属性（v4写法）
+     * @param {Object|null} nodeTypeDef - 节点类型定义
+     * @returns {Object} - 节点属性
+     */
+    function parseNodeAttributes(type, attributes, nodeTypeDef) {
+        const properties = {};
+        const propertyDefs = nodeTypeDef && nodeTypeDef.properties ? nodeTypeDef.properties : [];
+        const isSubTree = type === 'SubTree';
 
-                    // 准备要加载的状态
-                    const newState = {
-                        nodes: data.nodes || [],
-                        connections: data.connections || [],
-                        customNodeTypes: data.customNodeTypes || [],
-                        collapsedCategories: data.collapsedCategories || {},
-                        grid: data.grid || stateManager.getGrid(),
+        if (isSubTree) {
+            properties.port_mappings = {};
+        }
 
-                        // 重置这些值
-                        selectedNodes: [],
-                        selectedConnection: null,
-                        pendingConnection: null,
+        Object.entries(attributes).forEach(([name, value]) => {
+            if (name === 'name') return;
 
-                        // 保持当前视口
-                        viewport: stateManager.getViewport(),
+            const propDef = propertyDefs.find(p => p.name === name);
 
-                        // ID计数器
-                        idCounters: {
-                            nodes: calculateNextNodeId(data.nodes),
-                            connections: calculateNextConnectionId(data.connections)
-                        }
-                    };
+            // 子树中未声明的属性都是端口映射
+            if (isSubTree && !propDef) {
+                properties.port_mappings[name] = value;
+                return;
+            }
 
-                    // 加载状态
-                    stateManager.loadState(newState);
+            properties[name] = convertAttributeValue(value, propDef);
+        });
 
-                    logger.info('行为树加载成功');
-                } catch (error) {
-                    logger.error('解析树文件时出错:', error);
-                    showErrorToast('解析树文件出错: ' + error.message);
-                }
-            };
+        return properties;
+    }
 
-            // 触发文件选择
-            input.click();
-        } catch (error) {
-            logger.error('加载树时出错:', error);
-            showErrorToast('加载树失败: ' + error.message);
+    /**
+     * 根据属性定义转换XML属性值的类型
+     */
+    function convertAttributeValue(value, propDef) {
+        // 黑板端口引用保持原样
+        if (!propDef || /^\{.*\}$/.test(value)) return value;
+
+        switch (propDef.type) {
+            case 'number': {
+                const num = Number(value);
+                return value.trim() === '' || isNaN(num) ? value : num;
+            }
+            case 'boolean':
+                if (value === 'true') return true;
+                if (value === 'false') return false;
+                return value;
+            default:
+                return value;
         }
     }
 
@@ -162,19 +1708,15 @@ export function initSerialization(elements, state) {
      * 导出行为树为XML格式
      */
     function exportXml() {
-        const nodes = stateManager.getNodes();
-        const connections = stateManager.getConnections();
-
         // 执行语义校验
-        const validation = validateTreeSemantics(nodes, connections);
-        if (!validation.isValid) {
-            showErrorToast(validation.message);
+        if (!checkTrees(collectTrees())) {
             return;
         }
 
         try {
             // 生成XML
-            const xmlStr = generateBehaviorTreeXml();
+            const warnings = [];
+            const xmlStr = generateBehaviorTreeXml(stateManager.getXmlFormat(), warnings);
 
             // 在XML模态框中显示
             const {xmlModal, xmlContent} = elements;
@@ -187,6 +1729,11 @@ export function initSerialization(elements, state) {
                 xmlModal.style.display = 'block';
             }
 
+            if (warnings.length > 0) {
+                logger.warn('导出XML时的警告:', warnings);
+                showErrorToast(warnings);
+            }
+
             logger.info('行为树已导出为XML');
         } catch (error) {
             logger.error('导出XML时出错:', error);
@@ -195,111 +1742,97 @@ export function initSerialization(elements, state) {
     }
 
     /**
-     * 校验行为树结构的语义有效性
-     * @param {Array} nodes - 节点数组
-     * @param {Array} connections - 连接数组
-     * @returns {Object} - 校验结果，包含isValid和message
+     * 收集所有树及其节点和连接，包括当前未显示的树
+     * @returns {Array} - 每项包含id、description、rootId、nodes和connections
      */
-    function validateTreeSemantics(nodes, connections) {
-        // 验证根节点唯一性
-        const rootValidation = validateRoot(nodes, connections);
-        if (!rootValidation.isValid) {
-            return rootValidation;
-        }
+    function collectTrees() {
+        return stateManager.getTrees().map(tree => ({
+            id: tree.id,
+            description: tree.description,
+            rootId: tree.rootId,
+            ...stateManager.getTreeContents(tree.id)
+        }));
+    }
 
-        // 验证叶子节点类型
-        const leavesValidation = validateLeafNodes(nodes, connections);
-        if (!leavesValidation.isValid) {
-            return leavesValidation;
-        }
+    /**
+     * 将保存文件中的扁平节点和连接按节点的treeId拆分为各棵树
+     */
+    function splitIntoTrees(data) {
+        const {nodes, connections, trees} = data;
+
+        const treeOfNode = {};
+        nodes.forEach(node => {
+            treeOfNode[node.id] = node.treeId;
+        });
 
-        return {isValid: true, message: "行为树结构校验通过"};
+        return trees.map(info => ({
+            id: info.id,
+            description: info.description || '',
+            rootId: info.rootId || null,
+            nodes: nodes
+                .filter(node => treeOfNode[node.id] === info.id)
+                .map(({treeId, ...node}) => node),
+            connections: connections.filter(conn => treeOfNode[conn.source] === info.id)
+        }));
     }
 
     /**
-     * 验证行为树只有一个根节点
-     * @param {Array} nodes - 节点数组
-     * @param {Array} connections - 连接数组
-     * @returns {Object} - 校验结果，包含isValid和message
+     * 用已注册的校验规则逐棵校验行为树，有错误或警告时提示，只有错误会阻止保存、导出和加载
+     * @param {Array} trees - 每项包含id、rootId、nodes和connections
+     * @param {Array} [customNodeTypes] - 校验时使用的自定义节点类型，默认为当前文档的
+     * @returns {boolean} - 没有错误时返回true
      */
-    function validateRoot(nodes, connections) {
-        if (nodes.length === 0) {
-            return {
-                isValid: false,
-                message: "错误: 行为树中不包含任何节点。"
-            };
-        }
+    function checkTrees(trees, customNodeTypes) {
+        const results = validation.validateTrees(trees, customNodeTypes);
+        const reported = results.filter(result => result.severity !== 'info');
 
-        // 找出所有不是任何连接目标的节点，即根节点
-        const targetIds = connections.map(c => c.target);
-        const rootNodes = nodes.filter(node => !targetIds.includes(node.id));
-
-        if (rootNodes.length === 0) {
-            return {
-                isValid: false,
-                message: "错误: 未找到根节点。行为树必须有且只有一个根节点。可能存在循环引用。"
-            };
+        if (reported.length > 0) {
+            logger.warn('行为树校验发现问题:', reported);
+            showErrorToast(validation.formatResults(reported, trees.length > 1));
         }
 
-        return {isValid: true, message: ""};
+        return !validation.hasErrors(results);
     }
 
     /**
-     * 验证所有叶子节点(无子节点的节点)必须是行为节点或子树节点
+     * 校验单棵行为树的语义有效性
      * @param {Array} nodes - 节点数组
      * @param {Array} connections - 连接数组
-     * @returns {Object} - 校验结果，包含isValid和message
+     * @param {string|null} rootId - 根节点ID，未给出时不检查未连接到根节点的节点
+     * @returns {Object} - 校验结果，包含isValid、message和所有规则的results
      */
-    function validateLeafNodes(nodes, connections) {
-        // 找出所有不是任何连接源的节点，即叶子节点
-        const sourceIds = connections.map(c => c.source);
-        const leafNodes = nodes.filter(node => !sourceIds.includes(node.id));
-
-        // 检查每个叶子节点的类型
-        const invalidLeaves = leafNodes.filter(node =>
-            node.category !== 'action' && node.category !== 'subtree' && node.category !== 'condition'
-        );
-
-        if (invalidLeaves.length > 0) {
-            const invalidNames = invalidLeaves.map(node => `"${node.name}"`).join(', ');
-            return {
-                isValid: false,
-                message: `错误: 发现${invalidLeaves.length}个无效的叶子节点: ${invalidNames}。叶子节点必须是行为节点或子树节点。`
-            };
-        }
-
-        return {isValid: true, message: ""};
+    function validateTreeSemantics(nodes, connections, rootId = null) {
+        const results = validation.validateTrees([{id: stateManager.getActiveTreeId(), rootId, nodes, connections}]);
+        const isValid = !validation.hasErrors(results);
+
+        return {
+            isValid,
+            message: isValid ? "行为树结构校验通过" : validation.formatResults(results).join('\n'),
+            results
+        };
     }
 
     /**
-     * 构建用于XML导出的树层次结构
+     * 从树的根节点构建用于XML导出的层次结构
+     * @param {Object} tree - 包含rootId、nodes和connections的树
+     * @returns {Object|null} - 根节点的层次结构，树为空时返回null
      */
-    function buildTreeHierarchy() {
-        const nodes = stateManager.getNodes();
-        const connections = stateManager.getConnections();
-
-        // 找到根节点
-        const targetIds = connections.map(c => c.target);
-        const rootNodes = nodes.filter(node => !targetIds.includes(node.id));
-
-        if (rootNodes.length === 0) return null;
+    function buildTreeHierarchy(tree) {
+        const {nodes, connections} = tree;
+        if (!nodes.some(node => node.id === tree.rootId)) return null;
 
         // 递归构建层次结构
         function buildNodeHierarchy(nodeId) {
             const node = nodes.find(n => n.id === nodeId);
             if (!node) return null;
 
-            // 找到子节点连接
-            const childConnections = connections.filter(c => c.source === nodeId);
-
-            // 递归获取子层次结构并排序
-            const children = childConnections
+            // 按连接上保存的子节点顺序递归获取子层次结构
+            const children = getChildConnections(connections, nodeId)
                 .map(conn => {
                     const childNode = nodes.find(n => n.id === conn.target);
                     return childNode ? buildNodeHierarchy(conn.target) : null;
                 })
-                .filter(Boolean)
-                .sort((a, b) => a.x - b.x); // 按X坐标排序
+                .filter(Boolean);
 
             return {
                 ...node,
@@ -307,51 +1840,89 @@ export function initSerialization(elements, state) {
             };
         }
 
-        return rootNodes.map((root) => buildNodeHierarchy(root.id));
+        return buildNodeHierarchy(tree.rootId);
+    }
+
+    /**
+     * 统计层次结构中的节点数量
+     */
+    function countHierarchyNodes(hierarchy) {
+        return hierarchy.children.reduce((count, child) => count + countHierarchyNodes(child), 1);
     }
 
     /**
      * 生成BehaviorTree.CPP兼容的XML
+     * @param {string} format - 目标格式版本（'3'或'4'）
+     * @param {Array} warnings - 收集无法转换的节点等警告信息
+     * @param {Object|null} scope - 只生成项目中一个文件的内容：treeIds为写入该文件的树，
+     *                              includes为保留的<include>，isMain表示是否为主文件；为null时导出全部树
      */
-    function generateBehaviorTreeXml() {
-        const treeHierarchy = buildTreeHierarchy();
+    function generateBehaviorTreeXml(format = stateManager.getXmlFormat(), warnings = [], scope = null) {
         const customNodes = stateManager.getCustomNodeTypes();
+        const warningSet = new Set();
+        const includes = scope ? scope.includes : [];
+        const isMain = scope ? scope.isMain : true;
+
+        // 每棵树从其指定的根节点导出，空树和未连接到根节点的节点不会导出
+        const exportedTrees = [];
+        collectTrees()
+            .filter(tree => !scope || scope.treeIds.includes(tree.id))
+            .forEach(tree => {
+                const hierarchy = buildTreeHierarchy(tree);
+                if (!hierarchy) {
+                    warningSet.add(`行为树 "${tree.id}" 为空，未导出`);
+                    return;
+                }
+
+                const detachedCount = tree.nodes.length - countHierarchyNodes(hierarchy);
+                if (detachedCount > 0) {
+                    warningSet.add(`行为树 "${tree.id}" 中有${detachedCount}个节点未连接到根节点，未导出`);
+                }
 
-        if (!treeHierarchy) {
-            return '<root BTCPP_format="4">\n  <!-- 未找到有效的树结构 -->\n</root>';
+                exportedTrees.push({tree, hierarchy});
+            });
+
+        if (exportedTrees.length === 0 && includes.length === 0) {
+            warnings.push(...warningSet);
+            return `<root BTCPP_format="${format}">\n  <!-- 未找到有效的树结构 -->\n</root>`;
         }
 
+        // 只有主文件声明main_tree_to_execute，主树为空时没有对应的<BehaviorTree>，不能声明
+        let mainTreeAttribute = '';
+        if (isMain) {
+            const mainTreeId = stateManager.getMainTreeId();
+            const mainTree = collectTrees().find(tree => tree.id === mainTreeId);
+            if (mainTree && buildTreeHierarchy(mainTree)) {
+                mainTreeAttribute = ` main_tree_to_execute="${escapeXml(mainTreeId)}"`;
+            } else {
+                warningSet.add(`主树 "${mainTreeId}" 为空，未设置main_tree_to_execute`);
+            }
+        }
         let xml = '<?xml version="1.0"?>\n';
-        xml += '<root BTCPP_format="4">\n\n';
+        xml += `<root BTCPP_format="${format}"${mainTreeAttribute}>\n\n`;
+
+        // 保留项目文件之间的包含关系
+        if (includes.length > 0) {
+            includes.forEach(include => {
+                const rosPkg = include.rosPkg ? ` ros_pkg="${escapeXml(include.rosPkg)}"` : '';
+                xml += `  <include${rosPkg} path="${escapeXml(include.path)}"/>\n`;
+            });
+            xml += '\n';
+        }
+
+        xml = exportedTrees.reduce((total, {tree, hierarchy}) => total + `  <BehaviorTree ID="${escapeXml(tree.id)}">\n${generateNodeXml(hierarchy, 4, format, warningSet)}  </BehaviorTree>\n\n`, xml)
 
-        xml = treeHierarchy.reduce((total, tree) => total + `  <BehaviorTree ID="${tree.name}">\n${generateNodeXml(tree, 4)}  </BehaviorTree>\n\n`, xml)
+        // 编辑器布局元数据，BehaviorTree.CPP会忽略该元素
+        if (exportedTrees.length > 0) {
+            xml += generateLayoutXml(exportedTrees);
+        }
 
-        // 添加TreeNodesModel部分，包含自定义节点定义
-        if (customNodes.length > 0) {
+        // 添加TreeNodesModel部分，包含自定义节点定义及其端口，项目中只写入主文件
+        if (isMain && customNodes.length > 0) {
             xml += '  <TreeNodesModel>\n';
 
             customNodes.forEach(nodeType => {
-                xml += `    <Node ID="${escapeXml(nodeType.type)}" `;
-
-                // 添加类别
-                switch (nodeType.category) {
-                    case 'composite':
-                        xml += 'NodeType="Composite"';
-                        break;
-                    case 'decorator':
-                        xml += 'NodeType="Decorator"';
-                        break;
-                    case 'action':
-                        xml += 'NodeType="Action"';
-                        break;
-                    case 'condition':
-                        xml += 'NodeType="Condition"';
-                        break;
-                    default:
-                        xml += 'NodeType="SubTree"';
-                }
-
-                xml += '/>\n';
+                xml += generateNodeModelXml(nodeType, 4, warningSet);
             });
 
             xml += '  </TreeNodesModel>\n';
@@ -359,18 +1930,146 @@ export function initSerialization(elements, state) {
 
         xml += '</root>';
 
+        warnings.push(...warningSet);
+
+        return xml;
+    }
+
+    /**
+     * 为一组节点生成不带<root>的XML片段，供复制到剪贴板
+     * 片段中的每个顶层节点（在这组节点中没有父节点）各生成一个元素，按X坐标排序
+     * @param {Array} nodes - 节点
+     * @param {Array} connections - 这组节点之间的连接
+     * @param {string} format - 目标格式版本
+     * @param {Array} warnings - 收集无法转换的节点等警告信息
+     */
+    function generateNodesXml(nodes, connections, format = stateManager.getXmlFormat(), warnings = []) {
+        const warningSet = new Set();
+        const xml = nodes
+            .filter(node => !connections.some(conn => conn.target === node.id))
+            .sort((a, b) => a.x - b.x)
+            .map(node => generateNodeXml(buildTreeHierarchy({rootId: node.id, nodes, connections}), 0, format, warningSet))
+            .join('');
+
+        warnings.push(...warningSet);
+        return xml;
+    }
+
+    /**
+     * 生成<EditorLayout>元数据，记录每棵树的描述和视口，
+     * 并按与节点XML相同的前序遍历顺序记录每个节点的坐标
+     */
+    function generateLayoutXml(exportedTrees) {
+        let xml = `  <${EDITOR_LAYOUT_TAG}>\n`;
+
+        exportedTrees.forEach(({tree, hierarchy}) => {
+            const storedTree = stateManager.getTrees().find(t => t.id === tree.id);
+            const viewport = tree.id === stateManager.getActiveTreeId() ?
+                stateManager.getViewport() :
+                storedTree.viewport;
+
+            let attributes = ` ID="${escapeXml(tree.id)}"`;
+            if (tree.description) {
+                attributes += ` description="${escapeXml(tree.description)}"`;
+            }
+            if (viewport) {
+                attributes += ` scale="${viewport.scale}" offsetX="${viewport.offsetX}" offsetY="${viewport.offsetY}"`;
+            }
+            xml += `    <Tree${attributes}>\n`;
+
+            let index = 0;
+            const visit = (node) => {
+                xml += `      <Node index="${index++}" x="${node.x}" y="${node.y}"/>\n`;
+                node.children.forEach(visit);
+            };
+            visit(hierarchy);
+
+            xml += '    </Tree>\n';
+        });
+
+        xml += `  </${EDITOR_LAYOUT_TAG}>\n\n`;
+        return xml;
+    }
+
+    /**
+     * 为自定义节点类型生成TreeNodesModel中的模型声明
+     */
+    function generateNodeModelXml(nodeType, indent, warnings) {
+        const spaces = ' '.repeat(indent);
+        const tag = getModelTagForCategory(nodeType.category);
+
+        if (!tag) {
+            warnings.add(`自定义节点类型 ${nodeType.type} 的类别 "${nodeType.category}" 无法写入TreeNodesModel`);
+            return '';
+        }
+
+        // 对象类型的属性（如端口映射）不是端口
+        const ports = (nodeType.properties || []).filter(prop => prop.type !== 'object');
+
+        if (ports.length === 0) {
+            return `${spaces}<${tag} ID="${escapeXml(nodeType.type)}"/>\n`;
+        }
+
+        let xml = `${spaces}<${tag} ID="${escapeXml(nodeType.type)}">\n`;
+
+        ports.forEach(prop => {
+            const portTag = PORT_DIRECTION_TAGS[prop.direction] || PORT_DIRECTION_TAGS.input;
+            let params = ` name="${escapeXml(prop.name)}" type="${escapeXml(prop.portType || getDefaultPortType(prop.type))}"`;
+
+            if (prop.default !== undefined && prop.default !== null && prop.default !== '') {
+                params += ` default="${escapeXml(prop.default)}"`;
+            }
+
+            if (prop.description) {
+                xml += `${spaces}  <${portTag}${params}>${escapeXml(prop.description)}</${portTag}>\n`;
+            } else {
+                xml += `${spaces}  <${portTag}${params}/>\n`;
+            }
+        });
+
+        xml += `${spaces}</${tag}>\n`;
         return xml;
     }
 
     /**
      * 为节点及其子节点生成XML
      */
-    function generateNodeXml(node, indent) {
+    function generateNodeXml(node, indent, format, warnings) {
         const spaces = ' '.repeat(indent);
         const hasChildren = node.children && node.children.length > 0;
 
+        const {tag, attributes} = format === '3' ?
+            convertNodeToV3(node, warnings) :
+            convertNodeToV4(node, warnings);
+
         // 生成参数字符串
-        let params = '';
+        const params = Object.entries(attributes)
+            .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+            .join('');
+
+        // 生成XML
+        if (!hasChildren) {
+            // 叶子节点
+            return `${spaces}<${escapeXml(tag)}${params}/>\n`;
+        } else {
+            // 有子节点的节点
+            let xml = `${spaces}<${escapeXml(tag)}${params}>\n`;
+
+            // 添加子节点
+            for (const child of node.children) {
+                xml += generateNodeXml(child, indent + 2, format, warnings);
+            }
+
+            xml += `${spaces}</${escapeXml(tag)}>\n`;
+            return xml;
+        }
+    }
+
+    /**
+     * 收集节点在v4格式下的XML属性（包括名称和子树端口映射）
+     */
+    function collectNodeAttributes(node) {
+        const attributes = {name: node.name};
 
         // 处理普通属性
         for (const [key, value] of Object.entries(node.properties)) {
@@ -379,7 +2078,7 @@ export function initSerialization(elements, state) {
                 continue;
             }
             if (value !== undefined && value !== null && value !== '') {
-                params += ` ${key}="${escapeXml(value)}"`;
+                attributes[key] = value;
             }
         }
 
@@ -390,27 +2089,59 @@ export function initSerialization(elements, state) {
             for (const [internal, external] of Object.entries(mappings)) {
                 if (external !== undefined && external !== null && external !== '') {
                     // 外部值已经包含了格式（如{port}或直接值）
-                    params += ` ${internal}="${escapeXml(external)}"`;
+                    attributes[internal] = external;
                 }
             }
         }
 
-        // 生成XML
-        if (!hasChildren) {
-            // 叶子节点
-            return `${spaces}<${escapeXml(node.type)} name="${escapeXml(node.name)}"${params}/>\n`;
-        } else {
-            // 有子节点的节点
-            let xml = `${spaces}<${escapeXml(node.type)} name="${escapeXml(node.name)}"${params}>\n`;
+        return attributes;
+    }
 
-            // 添加子节点
-            for (const child of node.children) {
-                xml += generateNodeXml(child, indent + 2);
+    /**
+     * 获取节点在v4格式下的标签和属性
+     */
+    function convertNodeToV4(node, warnings) {
+        if (!convertTypeFromV3(node.type).supported) {
+            warnings.add(`"${node.name}" (${node.type}) 在BTCPP v4中没有对应的节点`);
+        }
+
+        return {tag: node.type, attributes: collectNodeAttributes(node)};
+    }
+
+    /**
+     * 将节点转换为v3格式的标签和属性
+     */
+    function convertNodeToV3(node, warnings) {
+        const converted = convertTypeToV3(node.type);
+        if (!converted.supported) {
+            warnings.add(`"${node.name}" (${node.type}) 在BTCPP v3中没有对应的节点`);
+        }
+
+        const attributes = {};
+        Object.entries(collectNodeAttributes(node)).forEach(([key, value]) => {
+            attributes[convertAttributeToV3(node.type, key)] = value;
+        });
+
+        // 启用自动重映射的子树在v3中需要使用SubTreePlus
+        if (node.type === 'SubTree') {
+            const autoremap = attributes.__autoremap === true || attributes.__autoremap === 'true';
+            if (autoremap) {
+                return {tag: 'SubTreePlus', attributes};
             }
+            delete attributes.__autoremap;
+            return {tag: 'SubTree', attributes};
+        }
 
-            xml += `${spaces}</${escapeXml(node.type)}>\n`;
-            return xml;
+        // 非BTCPP内置的节点在v3中使用 <Action ID="..."> 形式
+        const nodeTypeDef = findNodeDefinitionByType(node.type, stateManager.getCustomNodeTypes());
+        const isLeaf = node.category === 'action' || node.category === 'condition';
+        const wrapperTag = getV3WrapperTag(node.category);
+
+        if (wrapperTag && (isLeaf || !nodeTypeDef || !nodeTypeDef.builtin)) {
+            return {tag: wrapperTag, attributes: {ID: converted.type, ...attributes}};
         }
+
+        return {tag: converted.type, attributes};
     }
 
     /**
@@ -489,7 +2220,15 @@ export function initSerialization(elements, state) {
                 if (typeof conn.id !== 'string') return false;
                 if (typeof conn.source !== 'string') return false;
                 if (typeof conn.target !== 'string') return false;
+                if (!Number.isInteger(conn.index)) return false;
             }
+
+            // 每个节点必须属于一棵已声明的树
+            if (!Array.isArray(data.trees) || data.trees.length === 0) return false;
+            const treeIds = data.trees.map(tree => tree.id);
+            if (treeIds.some(id => typeof id !== 'string' || !id)) return false;
+            if (new Set(treeIds).size !== treeIds.length) return false;
+            if (data.nodes.some(node => !treeIds.includes(node.treeId))) return false;
         } catch (e) {
             return false;
         }
@@ -510,6 +2249,21 @@ export function initSerialization(elements, state) {
                 case 'load':
                     loadTree();
                     break;
+                case 'import-xml':
+                    importXml();
+                    break;
+                case 'open-folder':
+                    openXmlFolder();
+                    break;
+                case 'save-btproj':
+                    saveGroot2Project();
+                    break;
+                case 'save-xml':
+                    saveXml();
+                    break;
+                case 'save-xml-as':
+                    saveXmlAs();
+                    break;
                 case 'export-xml':
                     exportXml();
                     break;
@@ -519,6 +2273,28 @@ export function initSerialization(elements, state) {
             }
         });
 
+        // 拖放XML文件或整个项目文件夹到画布上打开
+        elements.canvas.addEventListener('drop', handleFileDrop);
+
+        // 清除或加载JSON后不再关联之前打开的XML文件
+        eventBus.on(EVENTS.STATE_RESET, () => setCurrentProject(null));
+
+        // 回到编辑器时检查打开的文件是否被外部修改
+        window.addEventListener('focus', checkCurrentFileChanged);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                checkCurrentFileChanged();
+            }
+        });
+
+        // XML格式选择
+        const xmlFormatSelect = document.getElementById('xml-format');
+        if (xmlFormatSelect) {
+            xmlFormatSelect.addEventListener('change', (e) => {
+                stateManager.setXmlFormat(e.target.value);
+            });
+        }
+
         // 复制XML按钮
         const copyXmlBtn = document.getElementById('copy-xml-btn');
         if (copyXmlBtn) {
@@ -548,6 +2324,17 @@ export function initSerialization(elements, state) {
     return {
         saveTree,
         loadTree,
+        importXml,
+        openXmlFolder,
+        saveGroot2Project,
+        saveXml,
+        saveXmlAs,
+        parseBehaviorTreeXml,
+        parseTreeFile,
+        parseXmlSnippet,
+        generateNodesXml,
+        importNodeModels,
+        parseNodeModelsXml,
         clearTree,
         exportXml,
         copyXmlToClipboard,
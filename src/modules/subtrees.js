@@ -0,0 +1,451 @@
+/**
+ * SubTrees Module - Refactoring between branches and SubTree nodes
+ */
+import {eventBus, EVENTS} from '../core/events.js';
+import {logger} from '../utils/logger.js';
+import {showErrorToast} from '../index.js';
+import {getChildConnections} from '../utils/helpers.js';
+
+// Valid BehaviorTree ID, same rule as the tree dialog
+const TREE_ID_PATTERN = /^[A-Za-z_][\w.-]*$/;
+
+// {key} references to the blackboard inside a port value
+const BLACKBOARD_REFERENCE = /\{([^{}]+)\}/g;
+
+export function initSubtrees(elements, state, renderer, connections) {
+    const stateManager = state;
+
+    // Trees opened by drilling into SubTree nodes, from the outermost one to the active tree
+    let navigationPath = [stateManager.getActiveTreeId()];
+
+    // Tree being opened from a SubTree node, so its activation extends the path
+    let drillTarget = null;
+
+    /**
+     * Open the tree called by a SubTree node, offering to create it when it does not exist
+     * Every tree keeps its own viewport, so going back restores the parent's view.
+     * @param {string} nodeId - SubTree node in the active tree
+     * @returns {boolean} - Whether the tree was opened
+     */
+    function openSubTree(nodeId) {
+        const node = stateManager.getNodes().find(n => n.id === nodeId);
+        if (!node || node.category !== 'subtree') return false;
+
+        const treeId = node.properties && node.properties.ID;
+        if (!treeId) {
+            showErrorToast('SubTree节点未设置ID');
+            return false;
+        }
+
+        if (!stateManager.getTrees().some(t => t.id === treeId)) {
+            if (!TREE_ID_PATTERN.test(treeId)) {
+                showErrorToast(`"${treeId}" 不是有效的树ID`);
+                return false;
+            }
+            if (!confirm(`行为树 "${treeId}" 不存在，是否创建？`)) return false;
+            stateManager.addTree({id: treeId, description: ''});
+        }
+
+        drillTarget = treeId;
+        try {
+            stateManager.setActiveTree(treeId);
+        } finally {
+            drillTarget = null;
+        }
+
+        renderer.requestFullRender();
+        return true;
+    }
+
+    /**
+     * Go back to a tree on the navigation path
+     * @param {number} level - Index in the path, 0 being the outermost tree
+     */
+    function navigateTo(level) {
+        const treeId = navigationPath[level];
+        if (!treeId) return;
+
+        if (treeId === stateManager.getActiveTreeId()) {
+            // A tree that calls itself appears more than once on the path
+            navigationPath = navigationPath.slice(0, level + 1);
+        } else {
+            stateManager.setActiveTree(treeId);
+            renderer.requestFullRender();
+        }
+    }
+
+    /**
+     * Trees from the outermost one to the active tree
+     */
+    function getNavigationPath() {
+        return [...navigationPath];
+    }
+
+    /**
+     * Keep the path in step with tree activation, whether from drilling, the tree selector or undo
+     */
+    function updateNavigationPath(data) {
+        if (data.type === 'activated') {
+            const level = navigationPath.indexOf(data.treeId);
+            if (data.treeId === drillTarget) {
+                navigationPath.push(data.treeId);
+            } else if (level !== -1) {
+                navigationPath = navigationPath.slice(0, level + 1);
+            } else {
+                navigationPath = [data.treeId];
+            }
+        } else if (data.type === 'updated' && data.previousId) {
+            navigationPath = navigationPath.map(id => id === data.previousId ? data.treeId : id);
+        } else if (data.type === 'deleted') {
+            const level = navigationPath.indexOf(data.treeId);
+            if (level !== -1) {
+                navigationPath = navigationPath.slice(0, level).concat(stateManager.getActiveTreeId())
+                    .filter((id, index, path) => path.indexOf(id) === index);
+            }
+        }
+    }
+
+    /**
+     * Move the selected branch into a new tree and put a SubTree node calling it in its place
+     * The branch is the single top-level selected node together with all of its descendants.
+     * @param {string|null} treeId - ID of the new tree; asked for when omitted
+     * @returns {string|null} - ID of the new SubTree node, or null when nothing was extracted
+     */
+    function extractToSubTree(treeId = null) {
+        const branch = getSelectedBranch();
+        if (!branch) return null;
+
+        const id = treeId || prompt('新子树的ID:', generateTreeId(branch.top));
+        if (!id) return null;
+        if (!TREE_ID_PATTERN.test(id)) {
+            showErrorToast('树ID只能包含字母、数字、下划线、点和短横线，且不能以数字开头');
+            return null;
+        }
+        if (stateManager.getTrees().some(t => t.id === id)) {
+            showErrorToast(`树ID "${id}" 已存在`);
+            return null;
+        }
+
+        const sourceTreeId = stateManager.getActiveTreeId();
+        const {top, nodes, parentConnection} = branch;
+        const wasRoot = stateManager.getActiveTree().rootId === top.id;
+        const branchIds = new Set(nodes.map(node => node.id));
+        const branchConnections = stateManager.getConnections()
+            .filter(conn => branchIds.has(conn.source) && branchIds.has(conn.target))
+            .map(conn => ({...conn}));
+
+        stateManager.beginHistoryGroup(`Extract SubTree "${id}"`);
+        let subTreeNodeId;
+        try {
+            stateManager.addTree({id, description: ''});
+
+            // Removing the nodes also removes their connections and renumbers the parent's children
+            nodes.forEach(node => stateManager.removeNode(node.id));
+
+            subTreeNodeId = stateManager.generateNodeId();
+            stateManager.addNode({
+                id: subTreeNodeId,
+                type: 'SubTree',
+                name: id,
+                category: 'subtree',
+                x: top.x,
+                y: top.y,
+                properties: {
+                    ID: id,
+                    _autoremap: false,
+                    port_mappings: collectPortMappings(nodes)
+                }
+            });
+
+            if (parentConnection) {
+                connections.createConnection(parentConnection.source, subTreeNodeId, parentConnection.index);
+            } else if (wasRoot) {
+                stateManager.setTreeRoot(subTreeNodeId);
+            }
+
+            // The branch keeps its node IDs and positions in the new tree
+            stateManager.setActiveTree(id);
+            nodes.forEach(node => stateManager.addNode(node));
+            branchConnections.forEach(conn => stateManager.addConnection(conn));
+            stateManager.setTreeRoot(top.id);
+        } finally {
+            stateManager.setActiveTree(sourceTreeId);
+            stateManager.endHistoryGroup();
+        }
+
+        stateManager.selectNodes([subTreeNodeId]);
+        renderer.requestFullRender();
+
+        logger.info(`Extracted ${nodes.length} nodes into SubTree ${id}`);
+        return subTreeNodeId;
+    }
+
+    /**
+     * Find the branch below the selection
+     * @returns {Object|null} - The top node, copies of all branch nodes and the connection from its parent
+     */
+    function getSelectedBranch() {
+        const selectedIds = stateManager.getSelectedNodes();
+        const allNodes = stateManager.getNodes();
+        const allConnections = stateManager.getConnections();
+
+        const tops = selectedIds.filter(id => !allConnections.some(conn => conn.target === id && selectedIds.includes(conn.source)));
+        if (tops.length !== 1) {
+            showErrorToast(selectedIds.length === 0 ? '请先选择要提取的分支' : '请选择一个相连的分支（只能有一个最上层节点）');
+            return null;
+        }
+
+        const top = allNodes.find(node => node.id === tops[0]);
+        const branchIds = [];
+        const collect = (nodeId) => {
+            if (branchIds.includes(nodeId)) return;
+            branchIds.push(nodeId);
+            allConnections.filter(conn => conn.source === nodeId).forEach(conn => collect(conn.target));
+        };
+        collect(top.id);
+
+        const parentConnection = allConnections.find(conn => conn.target === top.id);
+        return {
+            top,
+            nodes: branchIds.map(id => structuredClone(allNodes.find(node => node.id === id))),
+            parentConnection: parentConnection ? {...parentConnection} : null
+        };
+    }
+
+    /**
+     * Replace a SubTree node with a copy of the tree it calls
+     * Blackboard keys are rewritten the way the SubTree saw them: mapped ports take the value from
+     * port_mappings, unmapped keys stay shared under _autoremap and are otherwise renamed so they
+     * remain private to the inlined nodes.
+     * @param {string|null} nodeId - SubTree node; defaults to the single selected node
+     * @returns {Array|null} - IDs of the inlined nodes, or null when nothing was inlined
+     */
+    function inlineSubTree(nodeId = null) {
+        const selectedIds = stateManager.getSelectedNodes();
+        const id = nodeId || (selectedIds.length === 1 ? selectedIds[0] : null);
+        const subTreeNode = stateManager.getNodes().find(node => node.id === id);
+        if (!subTreeNode || subTreeNode.category !== 'subtree') {
+            showErrorToast('请选择一个SubTree节点');
+            return null;
+        }
+
+        const treeId = subTreeNode.properties && subTreeNode.properties.ID;
+        const activeTreeId = stateManager.getActiveTreeId();
+        const tree = stateManager.getTrees().find(t => t.id === treeId);
+        if (!tree) {
+            showErrorToast(`SubTree引用的树 "${treeId || ''}" 不存在`);
+            return null;
+        }
+        if (treeId === activeTreeId) {
+            showErrorToast(`不能将树 "${treeId}" 内联到它自身`);
+            return null;
+        }
+
+        const {nodes, connections: treeConnections} = getReachableContents(treeId, tree.rootId);
+        if (nodes.length === 0) {
+            showErrorToast(`树 "${treeId}" 为空`);
+            return null;
+        }
+
+        const keyValues = resolveBlackboardKeys(subTreeNode, nodes, treeId);
+        const root = nodes.find(node => node.id === tree.rootId);
+        const allConnections = stateManager.getConnections();
+        const parentConnection = allConnections.find(conn => conn.target === subTreeNode.id);
+        const wasRoot = stateManager.getActiveTree().rootId === subTreeNode.id;
+
+        const idMap = new Map();
+        stateManager.beginHistoryGroup(`Inline SubTree "${treeId}"`);
+        try {
+            // Removing the node also removes its connection and renumbers the parent's children
+            stateManager.removeNode(subTreeNode.id);
+
+            nodes.forEach(node => {
+                const newNode = structuredClone(node);
+                newNode.id = stateManager.generateNodeId();
+                newNode.x = node.x - root.x + subTreeNode.x;
+                newNode.y = node.y - root.y + subTreeNode.y;
+                newNode.properties = rewriteBlackboardKeys(newNode.properties, keyValues);
+                idMap.set(node.id, newNode.id);
+                stateManager.addNode(newNode);
+            });
+
+            treeConnections.forEach(conn => {
+                stateManager.addConnection({
+                    id: stateManager.generateConnectionId(),
+                    source: idMap.get(conn.source),
+                    target: idMap.get(conn.target),
+                    index: conn.index
+                });
+            });
+
+            const newRootId = idMap.get(root.id);
+            if (parentConnection) {
+                connections.createConnection(parentConnection.source, newRootId, parentConnection.index);
+            } else if (wasRoot) {
+                stateManager.setTreeRoot(newRootId);
+            }
+        } finally {
+            stateManager.endHistoryGroup();
+        }
+
+        const inlinedIds = [...idMap.values()];
+        stateManager.selectNodes(inlinedIds);
+        renderer.requestFullRender();
+
+        logger.info(`Inlined ${inlinedIds.length} nodes from SubTree ${treeId}`);
+        return inlinedIds;
+    }
+
+    /**
+     * Nodes and connections of a tree reachable from its root, as exported to XML
+     */
+    function getReachableContents(treeId, rootId) {
+        const contents = stateManager.getTreeContents(treeId);
+        const nodeIds = [];
+        const visit = (nodeId) => {
+            if (nodeIds.includes(nodeId) || !contents.nodes.some(node => node.id === nodeId)) return;
+            nodeIds.push(nodeId);
+            getChildConnections(contents.connections, nodeId).forEach(conn => visit(conn.target));
+        };
+        if (rootId) visit(rootId);
+
+        return {
+            nodes: nodeIds.map(nodeId => contents.nodes.find(node => node.id === nodeId)),
+            connections: contents.connections.filter(conn => nodeIds.includes(conn.source) && nodeIds.includes(conn.target))
+        };
+    }
+
+    /**
+     * Work out what each blackboard key of the called tree becomes in the calling tree
+     * @returns {Object} - Key to replacement: a {key} reference or a literal value
+     */
+    function resolveBlackboardKeys(subTreeNode, nodes, treeId) {
+        const mappings = subTreeNode.properties.port_mappings || {};
+        const autoremap = subTreeNode.properties._autoremap === true || subTreeNode.properties._autoremap === 'true';
+        const usedKeys = collectBlackboardKeys(stateManager.getNodes());
+        const keyValues = {};
+
+        collectBlackboardKeys(nodes).forEach(key => {
+            const mapped = mappings[key];
+            if (mapped !== undefined && mapped !== null && mapped !== '') {
+                // {=} maps the port to the key of the same name
+                keyValues[key] = mapped === '{=}' ? `{${key}}` : String(mapped);
+            } else if (autoremap) {
+                keyValues[key] = `{${key}}`;
+            } else {
+                // The key was private to the SubTree's blackboard
+                let privateKey = `${treeId}_${key}`;
+                for (let suffix = 2; usedKeys.has(privateKey); suffix++) {
+                    privateKey = `${treeId}_${key}_${suffix}`;
+                }
+                usedKeys.add(privateKey);
+                keyValues[key] = `{${privateKey}}`;
+            }
+        });
+
+        return keyValues;
+    }
+
+    /**
+     * Replace {key} references in property values, including SubTree port mapping values
+     */
+    function rewriteBlackboardKeys(value, keyValues) {
+        if (typeof value === 'string') {
+            return value.replace(BLACKBOARD_REFERENCE, (reference, key) => {
+                const replacement = keyValues[key.trim()];
+                return replacement === undefined ? reference : replacement;
+            });
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, rewriteBlackboardKeys(item, keyValues)]));
+        }
+        return value;
+    }
+
+    /**
+     * Map every blackboard key the branch uses to the same key of the calling tree
+     */
+    function collectPortMappings(nodes) {
+        const mappings = {};
+        collectBlackboardKeys(nodes).forEach(key => {
+            mappings[key] = `{${key}}`;
+        });
+        return mappings;
+    }
+
+    /**
+     * Collect the blackboard keys referenced as {key} in node properties
+     * Keys starting with @ live on the root blackboard and {=} is shorthand for a port of the same name,
+     * so neither belongs to a particular tree.
+     * @returns {Set} - Referenced keys
+     */
+    function collectBlackboardKeys(nodes) {
+        const keys = new Set();
+
+        const scan = (value) => {
+            if (typeof value === 'string') {
+                for (const match of value.matchAll(BLACKBOARD_REFERENCE)) {
+                    const key = match[1].trim();
+                    if (key && key !== '=' && !key.startsWith('@')) {
+                        keys.add(key);
+                    }
+                }
+            } else if (value && typeof value === 'object') {
+                Object.values(value).forEach(scan);
+            }
+        };
+
+        nodes.forEach(node => scan(node.properties));
+        return keys;
+    }
+
+    /**
+     * Suggest an unused tree ID based on the branch's top node
+     */
+    function generateTreeId(top) {
+        const ids = stateManager.getTrees().map(t => t.id);
+        const name = (top.name || '').replace(/[^\w.-]/g, '');
+        const base = TREE_ID_PATTERN.test(name) ? name : 'SubTree';
+
+        if (!ids.includes(base)) return base;
+        let index = 2;
+        while (ids.includes(`${base}${index}`)) index++;
+        return `${base}${index}`;
+    }
+
+    /**
+     * Set up event listeners
+     */
+    function setupEventListeners() {
+        // Double-click a SubTree node to open the tree it calls
+        elements.canvas.addEventListener('dblclick', (e) => {
+            const nodeElement = e.target.closest('.tree-node');
+            if (!nodeElement) return;
+
+            if (openSubTree(nodeElement.getAttribute('data-id'))) {
+                e.preventDefault();
+                e.stopPropagation();
+            }
+        });
+
+        eventBus.on(EVENTS.TREE_CHANGED, updateNavigationPath);
+
+        const resetNavigationPath = () => {
+            navigationPath = [stateManager.getActiveTreeId()];
+        };
+        eventBus.on(EVENTS.STATE_LOADED, resetNavigationPath);
+        eventBus.on(EVENTS.STATE_RESET, resetNavigationPath);
+    }
+
+    // Initialize
+    setupEventListeners();
+
+    // Return public API
+    return {
+        extractToSubTree,
+        inlineSubTree,
+        openSubTree,
+        navigateTo,
+        getNavigationPath
+    };
+}
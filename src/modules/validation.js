@@ -0,0 +1,440 @@
+/**
+ * Validation Module - Registry of rules that check the structure of behavior trees
+ * Every rule runs on every non-empty tree and all findings are reported together.
+ * Only findings with the error severity block saving and exporting.
+ */
+import {eventBus, EVENTS} from '../core/events.js';
+import {logger} from '../utils/logger.js';
+import {getChildConnections} from '../utils/helpers.js';
+import {describeChildCountProblem, findNodeDefinitionByType} from '../data/node-types.js';
+
+// Severities from most to least serious, with the label shown to the user
+const SEVERITIES = {
+    error: '错误',
+    warning: '警告',
+    info: '提示'
+};
+
+// Most findings listed in one message, the rest are counted
+const MAX_LISTED_RESULTS = 10;
+
+// Edits within this many milliseconds are validated together
+const LIVE_VALIDATION_DELAY = 150;
+
+export function initValidation(elements, state) {
+    const stateManager = state;
+
+    // Registered rules by ID, in registration order
+    const rules = new Map();
+
+    // Findings for the current document, kept up to date while it is edited
+    let latestResults = [];
+    let validationTimer = null;
+
+    /**
+     * Register a validation rule, replacing any rule with the same ID
+     * @param {Object} rule - Rule definition
+     * @param {string} rule.id - Unique rule ID
+     * @param {string} rule.severity - error, warning or info
+     * @param {string} [rule.description] - What the rule checks
+     * @param {Function} rule.check - (tree, context) => Array of {message, nodeIds, connectionIds, severity};
+     *   tree has id, rootId, nodes and connections, context has trees and customNodeTypes.
+     *   A finding may override the rule's severity.
+     */
+    function registerRule(rule) {
+        if (!rule || !rule.id || typeof rule.check !== 'function') {
+            throw new Error('A validation rule needs an id and a check function');
+        }
+        if (!SEVERITIES[rule.severity]) {
+            throw new Error(`Unknown severity "${rule.severity}" for validation rule ${rule.id}`);
+        }
+
+        rules.set(rule.id, {description: '', ...rule});
+        eventBus.emit(EVENTS.VALIDATION_CHANGED, {type: 'rule-registered', ruleId: rule.id});
+        scheduleValidation();
+    }
+
+    /**
+     * Remove a validation rule
+     * @returns {boolean} - Whether the rule was registered
+     */
+    function unregisterRule(ruleId) {
+        const removed = rules.delete(ruleId);
+        if (removed) {
+            eventBus.emit(EVENTS.VALIDATION_CHANGED, {type: 'rule-removed', ruleId});
+            scheduleValidation();
+        }
+        return removed;
+    }
+
+    /**
+     * Get the registered rules
+     */
+    function getRules() {
+        return [...rules.values()];
+    }
+
+    /**
+     * Run every rule on one tree
+     * @param {Object} tree - {id, rootId, nodes, connections}
+     * @param {Array} trees - All trees of the document, for rules that look across trees
+     * @param {Array} customNodeTypes - Custom node types the trees use, the document's by default
+     * @returns {Array} - Findings as {ruleId, severity, message, treeId, nodeIds, connectionIds}
+     */
+    function validateTree(tree, trees = [tree], customNodeTypes = stateManager.getCustomNodeTypes()) {
+        const context = {trees, customNodeTypes};
+        const results = [];
+
+        rules.forEach(rule => {
+            let findings;
+            try {
+                findings = rule.check(tree, context) || [];
+            } catch (error) {
+                // A broken rule must not hide the findings of the others
+                logger.error(`Validation rule ${rule.id} failed:`, error);
+                return;
+            }
+
+            findings.forEach(finding => {
+                results.push({
+                    ruleId: rule.id,
+                    severity: SEVERITIES[finding.severity] ? finding.severity : rule.severity,
+                    message: finding.message,
+                    treeId: tree.id,
+                    nodeIds: finding.nodeIds || [],
+                    connectionIds: finding.connectionIds || []
+                });
+            });
+        });
+
+        return results;
+    }
+
+    /**
+     * Run every rule on every tree, skipping empty trees; at least one tree must have nodes
+     * @param {Array} trees - Each with id, rootId, nodes and connections
+     * @param {Array} [customNodeTypes] - Custom node types the trees use, the document's by default
+     * @returns {Array} - Findings of all trees, most serious first
+     */
+    function validateTrees(trees, customNodeTypes) {
+        const nonEmptyTrees = trees.filter(tree => tree.nodes.length > 0);
+        if (nonEmptyTrees.length === 0) {
+            return [{
+                ruleId: 'not-empty',
+                severity: 'error',
+                message: '行为树中不包含任何节点。',
+                treeId: null,
+                nodeIds: [],
+                connectionIds: []
+            }];
+        }
+
+        const severityOrder = Object.keys(SEVERITIES);
+        return nonEmptyTrees
+            .flatMap(tree => validateTree(tree, trees, customNodeTypes))
+            .sort((a, b) => severityOrder.indexOf(a.severity) - severityOrder.indexOf(b.severity));
+    }
+
+    /**
+     * Run every rule on all trees of the current document
+     */
+    function validateDocument() {
+        return validateTrees(stateManager.getTrees().map(tree => ({
+            id: tree.id,
+            rootId: tree.rootId,
+            ...stateManager.getTreeContents(tree.id)
+        })));
+    }
+
+    /**
+     * Validate the current document again after the pending edits and announce the findings
+     */
+    function scheduleValidation() {
+        if (validationTimer) return;
+
+        validationTimer = setTimeout(() => {
+            validationTimer = null;
+            revalidate();
+        }, LIVE_VALIDATION_DELAY);
+    }
+
+    /**
+     * Validate the current document now and announce the findings
+     * @returns {Array} - Findings as from validateTrees
+     */
+    function revalidate() {
+        if (validationTimer) {
+            clearTimeout(validationTimer);
+            validationTimer = null;
+        }
+
+        latestResults = validateDocument();
+        eventBus.emit(EVENTS.VALIDATION_CHANGED, {type: 'validated', results: latestResults});
+        return latestResults;
+    }
+
+    /**
+     * Get the findings of the last live validation
+     */
+    function getResults() {
+        return latestResults;
+    }
+
+    /**
+     * Check whether any finding blocks saving and exporting
+     */
+    function hasErrors(results) {
+        return results.some(result => result.severity === 'error');
+    }
+
+    /**
+     * Describe findings for a message, one line each
+     * @param {Array} results - Findings from validateTrees
+     * @param {boolean} withTreeId - Prefix each line with the tree ID
+     * @returns {Array} - Lines of text
+     */
+    function formatResults(results, withTreeId = false) {
+        const lines = results.slice(0, MAX_LISTED_RESULTS).map(result => {
+            const prefix = withTreeId && result.treeId ? `[${result.treeId}] ` : '';
+            return `${prefix}${SEVERITIES[result.severity]}: ${result.message}`;
+        });
+
+        if (results.length > MAX_LISTED_RESULTS) {
+            lines.push(`…另有${results.length - MAX_LISTED_RESULTS}个问题`);
+        }
+
+        return lines;
+    }
+
+    /**
+     * Quote a node's name for a message, falling back to its ID
+     */
+    function quoteNodeName(tree, nodeId) {
+        const node = tree.nodes.find(n => n.id === nodeId);
+        return `"${node ? node.name : nodeId}"`;
+    }
+
+    /**
+     * Register the built-in rules
+     */
+    function registerBuiltInRules() {
+        // A tree needs a node without a parent to start from
+        registerRule({
+            id: 'has-root',
+            severity: 'error',
+            description: '行为树必须有根节点',
+            check(tree) {
+                const targetIds = new Set(tree.connections.map(c => c.target));
+                if (tree.nodes.some(node => !targetIds.has(node.id))) return [];
+
+                return [{message: '未找到根节点：每个节点都有父节点。行为树必须有且只有一个根节点。'}];
+            }
+        });
+
+        // A node has at most one parent
+        registerRule({
+            id: 'multiple-parents',
+            severity: 'error',
+            description: '每个节点最多只能有一个父节点',
+            check(tree) {
+                const parentConnections = new Map();
+                tree.connections.forEach(conn => {
+                    if (!parentConnections.has(conn.target)) parentConnections.set(conn.target, []);
+                    parentConnections.get(conn.target).push(conn);
+                });
+
+                return [...parentConnections.entries()]
+                    .filter(([, conns]) => conns.length > 1)
+                    .map(([targetId, conns]) => ({
+                        message: `${quoteNodeName(tree, targetId)} 有${conns.length}个父节点: ${conns.map(conn => quoteNodeName(tree, conn.source)).join(', ')}。`,
+                        nodeIds: [targetId],
+                        connectionIds: conns.map(conn => conn.id)
+                    }));
+            }
+        });
+
+        // Following child connections never leads back to the same node
+        registerRule({
+            id: 'cycle',
+            severity: 'error',
+            description: '节点之间不能形成循环',
+            check(tree) {
+                const childConnections = new Map();
+                tree.connections.forEach(conn => {
+                    if (!childConnections.has(conn.source)) childConnections.set(conn.source, []);
+                    childConnections.get(conn.source).push(conn);
+                });
+
+                // Depth-first search; a connection back to a node on the current path closes a cycle
+                const visiting = new Set();
+                const visited = new Set();
+                const path = [];
+                const cycles = [];
+
+                const visit = (nodeId) => {
+                    visiting.add(nodeId);
+                    (childConnections.get(nodeId) || []).forEach(conn => {
+                        if (visiting.has(conn.target)) {
+                            const start = path.findIndex(c => c.source === conn.target);
+                            cycles.push([...(start === -1 ? [] : path.slice(start)), conn]);
+                        } else if (!visited.has(conn.target)) {
+                            path.push(conn);
+                            visit(conn.target);
+                            path.pop();
+                        }
+                    });
+                    visiting.delete(nodeId);
+                    visited.add(nodeId);
+                };
+
+                tree.nodes.forEach(node => {
+                    if (!visited.has(node.id)) visit(node.id);
+                });
+
+                return cycles.map(cycle => ({
+                    message: `发现循环引用: ${[...cycle.map(conn => quoteNodeName(tree, conn.source)), quoteNodeName(tree, cycle[0].source)].join(' → ')}。`,
+                    nodeIds: cycle.map(conn => conn.source),
+                    connectionIds: cycle.map(conn => conn.id)
+                }));
+            }
+        });
+
+        // Child counts follow maxChildren, minChildren and canBeChildless of the node type,
+        // and the per-type arity such as one Switch child per case plus a default
+        registerRule({
+            id: 'child-count',
+            severity: 'error',
+            description: '子节点数量必须符合节点类型的约束',
+            check(tree, context) {
+                return tree.nodes
+                    .map(node => ({
+                        node,
+                        problem: describeChildCountProblem(
+                            node,
+                            tree.connections.filter(conn => conn.source === node.id).length,
+                            context.customNodeTypes
+                        )
+                    }))
+                    .filter(({problem}) => problem)
+                    .map(({node, problem}) => ({message: problem, nodeIds: [node.id]}));
+            }
+        });
+
+        // Child order numbers of each parent run from 0 to n-1
+        registerRule({
+            id: 'child-order',
+            severity: 'error',
+            description: '子节点顺序编号必须完整且不重复',
+            check(tree) {
+                const parentIds = [...new Set(tree.connections.map(c => c.source))];
+
+                return parentIds
+                    .map(parentId => getChildConnections(tree.connections, parentId))
+                    .filter(children => children.some((conn, index) => conn.index !== index))
+                    .map(children => {
+                        const parent = tree.nodes.find(node => node.id === children[0].source);
+                        return {
+                            message: `"${parent ? parent.name : ''}" 的子节点顺序编号不完整或重复。`,
+                            nodeIds: [children[0].source],
+                            connectionIds: children.map(conn => conn.id)
+                        };
+                    });
+            }
+        });
+
+        // Ports without a default value have to be filled in, optional ports are marked with optional: true
+        registerRule({
+            id: 'required-ports',
+            severity: 'warning',
+            description: '没有默认值的端口必须设置',
+            check(tree, context) {
+                return tree.nodes
+                    .map(node => {
+                        const nodeDef = findNodeDefinitionByType(node.type, context.customNodeTypes);
+                        const missing = (nodeDef ? nodeDef.properties || [] : [])
+                            .filter(prop => prop.type !== 'object' && !prop.optional && isEmptyValue(prop.default))
+                            .filter(prop => isEmptyValue((node.properties || {})[prop.name]))
+                            .map(prop => prop.name);
+                        return {node, missing};
+                    })
+                    .filter(({missing}) => missing.length > 0)
+                    .map(({node, missing}) => ({
+                        message: `"${node.name}" 的必填端口未设置: ${missing.join(', ')}`,
+                        nodeIds: [node.id]
+                    }));
+            }
+        });
+
+        // Only the branch below the tree root is exported
+        registerRule({
+            id: 'unreachable-nodes',
+            severity: 'warning',
+            description: '未连接到根节点的节点不会导出',
+            check(tree) {
+                if (!tree.nodes.some(node => node.id === tree.rootId)) return [];
+
+                const reachable = new Set([tree.rootId]);
+                const pending = [tree.rootId];
+                while (pending.length > 0) {
+                    const id = pending.pop();
+                    tree.connections
+                        .filter(conn => conn.source === id && !reachable.has(conn.target))
+                        .forEach(conn => {
+                            reachable.add(conn.target);
+                            pending.push(conn.target);
+                        });
+                }
+
+                const unreachable = tree.nodes.filter(node => !reachable.has(node.id));
+                if (unreachable.length === 0) return [];
+
+                return [{
+                    message: `${unreachable.length}个节点未连接到根节点，导出XML时会被忽略: ${unreachable.map(node => `"${node.name}"`).join(', ')}`,
+                    nodeIds: unreachable.map(node => node.id)
+                }];
+            }
+        });
+    }
+
+    /**
+     * Check whether a port value counts as not set
+     */
+    function isEmptyValue(value) {
+        return value === undefined || value === null || String(value).trim() === '';
+    }
+
+    /**
+     * Set up event listeners
+     */
+    function setupEventListeners() {
+        // Any structural edit may change the findings
+        [EVENTS.NODE_CHANGED, EVENTS.TREE_CHANGED, EVENTS.STATE_LOADED, EVENTS.STATE_RESET].forEach(event => {
+            eventBus.on(event, scheduleValidation);
+        });
+
+        eventBus.on(EVENTS.CONNECTION_CHANGED, (data) => {
+            if (['created', 'deleted', 'reordered'].includes(data.type)) {
+                scheduleValidation();
+            }
+        });
+    }
+
+    // Initialize
+    registerBuiltInRules();
+    setupEventListeners();
+    scheduleValidation();
+
+    // Return public API
+    return {
+        registerRule,
+        unregisterRule,
+        getRules,
+        validateTree,
+        validateTrees,
+        validateDocument,
+        revalidate,
+        getResults,
+        hasErrors,
+        formatResults
+    };
+}
@@ -335,4 +335,18 @@ export function initViewport(elements, state, renderer) {
 
     // 初始化
     setupEventListeners();
+
+    // 返回公共API
+    return {
+        setScale,
+        zoomIn,
+        zoomOut,
+        resetZoom,
+        screenToWorld,
+        worldToScreen,
+        pan,
+        centerOn,
+        centerOnNode,
+        fitAllNodes
+    };
 }
\ No newline at end of file
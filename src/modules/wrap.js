@@ -0,0 +1,247 @@
+/**
+ * Wrap Module - Inserts a composite or decorator above the selected sibling nodes
+ */
+import {eventBus, EVENTS} from '../core/events.js';
+import {logger} from '../utils/logger.js';
+import {config} from '../core/config.js';
+import {showErrorToast} from '../index.js';
+import {getChildConnections} from '../utils/helpers.js';
+import {NODE_TYPES, findNodeDefinitionByType, getMaxChildrenForType} from '../data/node-types.js';
+
+// Node categories that can wrap other nodes, with their option group labels
+const WRAPPER_CATEGORIES = {
+    composite: '组合节点',
+    decorator: '装饰节点'
+};
+
+export function initWrap(elements, state, renderer, nodes, connections) {
+    const stateManager = state;
+
+    // Type picked last time, preselected in the dialog
+    let lastWrapperType = 'Sequence';
+
+    /**
+     * Wrap the selected nodes in a new node of the given type
+     * The wrapper takes the place of the first selected node under the original parent and
+     * the selected nodes become its children in their current order.
+     * @param {string} type - Composite or decorator type
+     * @returns {string|null} - ID of the wrapper node, null when the selection cannot be wrapped
+     */
+    function wrapSelection(type) {
+        const nodeDef = findNodeDefinitionByType(type, stateManager.getCustomNodeTypes());
+        if (!nodeDef || !WRAPPER_CATEGORIES[nodeDef.category]) {
+            showErrorToast(`${type} 不是组合节点或装饰节点`);
+            return null;
+        }
+
+        const wrapped = getWrappableSelection();
+        if (!wrapped) return null;
+
+        const problem = getWrapProblem(type, nodeDef.category, wrapped.nodes.length);
+        if (problem) {
+            showErrorToast(problem);
+            return null;
+        }
+
+        const {nodes: wrappedNodes, parentId, index} = wrapped;
+        const left = Math.min(...wrappedNodes.map(node => node.x));
+        const right = Math.max(...wrappedNodes.map(node => node.x));
+        const top = Math.min(...wrappedNodes.map(node => node.y));
+
+        let wrapperId;
+        stateManager.beginHistoryGroup(`Wrap in ${type}`);
+        try {
+            // Nothing has changed yet if the wrapper cannot be created
+            wrapperId = nodes.createNode(type, nodeDef.category, (left + right) / 2, top);
+            if (!wrapperId) return null;
+
+            // Make room above the wrapped branches
+            shiftBranches(wrappedNodes.map(node => node.id), config.nodeHeight + config.layout.nodeSpacingY);
+
+            if (parentId) {
+                wrappedNodes.forEach(node => {
+                    const parentConnection = stateManager.getConnections().find(conn => conn.target === node.id);
+                    connections.deleteConnection(parentConnection.id);
+                });
+                connections.createConnection(parentId, wrapperId, index);
+            }
+
+            wrappedNodes.forEach(node => connections.createConnection(wrapperId, node.id));
+        } finally {
+            stateManager.endHistoryGroup();
+        }
+
+        stateManager.selectNodes([wrapperId]);
+        renderer.requestFullRender();
+
+        logger.info(`Wrapped ${wrappedNodes.length} nodes in ${type}`);
+        return wrapperId;
+    }
+
+    /**
+     * Find the selected nodes if they are siblings
+     * @returns {Object|null} - The nodes in child order, their parent ID and the index of the first one
+     */
+    function getWrappableSelection() {
+        const selectedIds = stateManager.getSelectedNodes();
+        if (selectedIds.length === 0) {
+            showErrorToast('请先选择要包裹的节点');
+            return null;
+        }
+
+        const allConnections = stateManager.getConnections();
+        const parentIds = new Set(selectedIds.map(id => {
+            const parentConnection = allConnections.find(conn => conn.target === id);
+            return parentConnection ? parentConnection.source : null;
+        }));
+        if (parentIds.size > 1) {
+            showErrorToast('只能包裹同一父节点下的兄弟节点');
+            return null;
+        }
+
+        const [parentId] = parentIds;
+        const selectedNodes = stateManager.getNodes().filter(node => selectedIds.includes(node.id));
+
+        if (!parentId) {
+            // Nodes without a parent keep their left-to-right order
+            return {nodes: selectedNodes.sort((a, b) => a.x - b.x), parentId: null, index: null};
+        }
+
+        const siblings = getChildConnections(allConnections, parentId)
+            .filter(conn => selectedIds.includes(conn.target));
+        return {
+            nodes: siblings.map(conn => selectedNodes.find(node => node.id === conn.target)),
+            parentId,
+            index: siblings[0].index
+        };
+    }
+
+    /**
+     * Check whether a node type can take the given number of children
+     * @returns {string|null} - Why it cannot, null when it can
+     */
+    function getWrapProblem(type, category, childCount) {
+        if (category === 'decorator' && childCount > 1) {
+            return '装饰节点只能包裹一个节点';
+        }
+
+        const maxChildren = getMaxChildrenForType(type, category, stateManager.getCustomNodeTypes());
+        if (maxChildren !== null && childCount > maxChildren) {
+            return `${type} 最多只能有${maxChildren}个子节点`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Move nodes and all their descendants down
+     */
+    function shiftBranches(nodeIds, offsetY) {
+        const allConnections = stateManager.getConnections();
+        const branchIds = new Set();
+        const pending = [...nodeIds];
+
+        while (pending.length > 0) {
+            const id = pending.pop();
+            if (branchIds.has(id)) continue;
+            branchIds.add(id);
+            allConnections.filter(conn => conn.source === id).forEach(conn => pending.push(conn.target));
+        }
+
+        stateManager.getNodes()
+            .filter(node => branchIds.has(node.id))
+            .forEach(node => stateManager.updateNode(node.id, {y: node.y + offsetY}));
+    }
+
+    /**
+     * Open the dialog that picks the wrapper type
+     */
+    function showWrapDialog() {
+        const modal = document.getElementById('wrap-node-modal');
+        const select = document.getElementById('wrap-node-type');
+        if (!modal || !select) return;
+
+        const wrapped = getWrappableSelection();
+        if (!wrapped) return;
+
+        select.innerHTML = '';
+        const customNodeTypes = stateManager.getCustomNodeTypes();
+
+        Object.entries(WRAPPER_CATEGORIES).forEach(([category, label]) => {
+            const group = document.createElement('optgroup');
+            group.label = label;
+
+            const nodeTypes = [...NODE_TYPES[category], ...customNodeTypes.filter(nt => nt.category === category)];
+            nodeTypes.forEach(nodeType => {
+                const option = document.createElement('option');
+                option.value = nodeType.type;
+                option.textContent = nodeType.name && nodeType.name !== nodeType.type ?
+                    `${nodeType.name} (${nodeType.type})` : nodeType.type;
+
+                // Types that cannot take this many children are listed but not selectable
+                const problem = getWrapProblem(nodeType.type, category, wrapped.nodes.length);
+                option.disabled = !!problem;
+                if (problem) option.title = problem;
+
+                group.appendChild(option);
+            });
+
+            select.appendChild(group);
+        });
+
+        const preferred = Array.from(select.options).find(option => option.value === lastWrapperType && !option.disabled);
+        const fallback = Array.from(select.options).find(option => !option.disabled);
+        if (preferred || fallback) {
+            select.value = (preferred || fallback).value;
+        }
+
+        modal.style.display = 'block';
+        select.focus();
+    }
+
+    /**
+     * Close the wrapper type dialog
+     */
+    function hideWrapDialog() {
+        const modal = document.getElementById('wrap-node-modal');
+        if (modal) modal.style.display = 'none';
+    }
+
+    /**
+     * Set up event listeners
+     */
+    function setupEventListeners() {
+        eventBus.on(EVENTS.TOOLBAR_ACTION, (data) => {
+            if (data.action === 'wrap-selected') {
+                showWrapDialog();
+            }
+        });
+
+        const form = document.getElementById('wrap-node-form');
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const type = document.getElementById('wrap-node-type').value;
+                hideWrapDialog();
+
+                if (type && wrapSelection(type)) {
+                    lastWrapperType = type;
+                }
+            });
+        }
+
+        const cancelButton = document.getElementById('cancel-wrap-node');
+        if (cancelButton) {
+            cancelButton.addEventListener('click', hideWrapDialog);
+        }
+    }
+
+    // Initialize
+    setupEventListeners();
+
+    // Return public API
+    return {
+        wrapSelection,
+        showWrapDialog
+    };
+}
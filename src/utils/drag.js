@@ -4,6 +4,18 @@
  */
 import {logger} from './logger.js';
 
+// Item being dragged: {nodeId} for a canvas node or {type, category} for a palette item.
+// dataTransfer contents cannot be read during dragover, so drop targets look here instead.
+let activeDrag = null;
+
+/**
+ * Get the item currently being dragged
+ * @returns {Object|null} - {nodeId} or {type, category}, null when nothing is dragged
+ */
+export function getActiveDrag() {
+    return activeDrag;
+}
+
 /**
  * 为节点元素设置拖拽
  * @param {HTMLElement} nodeElement - 要设置拖拽的节点元素
@@ -30,6 +42,7 @@ export function setupNodeDragAndDrop(nodeElement, options = {}) {
         // 设置节点ID为数据
         e.dataTransfer.setData('application/node-id', nodeId);
         e.dataTransfer.effectAllowed = 'move';
+        activeDrag = {nodeId};
 
         // 如果节点未被选中，选中它
         if (state) {
@@ -64,6 +77,10 @@ export function setupNodeDragAndDrop(nodeElement, options = {}) {
             }
         }, 0);
     });
+
+    nodeElement.addEventListener('dragend', () => {
+        activeDrag = null;
+    });
 }
 
 /**
@@ -113,6 +130,7 @@ export function setupNodeItemDraggable(nodeItemElement) {
         e.dataTransfer.setData('application/node-type', type);
         e.dataTransfer.setData('application/node-category', category);
         e.dataTransfer.effectAllowed = 'copy';
+        activeDrag = {type, category};
 
         // 创建拖拽图像 - 保持与原节点一致，只修改透明度
         const dragImage = nodeItemElement.cloneNode(true);
@@ -127,6 +145,10 @@ export function setupNodeItemDraggable(nodeItemElement) {
             document.body.removeChild(dragImage);
         }, 0);
     });
+
+    nodeItemElement.addEventListener('dragend', () => {
+        activeDrag = null;
+    });
 }
 
 /**
@@ -31,12 +31,33 @@ export function setupKeyboardShortcuts(state) {
             eventBus.emit(EVENTS.TOOLBAR_ACTION, {action: 'load'});
         }
 
+        // Ctrl+Z to undo, Ctrl+Shift+Z or Ctrl+Y to redo
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+            e.preventDefault();
+            if (e.shiftKey) {
+                state.redo();
+            } else {
+                state.undo();
+            }
+        }
+
+        if ((e.ctrlKey || e.metaKey) && e.key === 'y') {
+            e.preventDefault();
+            state.redo();
+        }
+
         // Ctrl+A to select all
         if ((e.ctrlKey || e.metaKey) && e.key === 'a') {
             e.preventDefault();
             selectAllNodes(state);
         }
 
+        // Ctrl+G to wrap the selection in a composite or decorator
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'g') {
+            e.preventDefault();
+            eventBus.emit(EVENTS.TOOLBAR_ACTION, {action: 'wrap-selected'});
+        }
+
         // Escape to cancel pending operations
         if (e.key === 'Escape') {
             cancelPendingOperations(state);
@@ -144,4 +165,45 @@ export function objectsEqual(a, b) {
 
         return a[key] === b[key];
     });
-}
\ No newline at end of file
+}
+
+/**
+ * Get the connections from a parent node to its children, in explicit child order
+ * @param {Array} connections - All connections
+ * @param {string} parentId - Parent node ID
+ * @returns {Array} - Child connections sorted by their index
+ */
+export function getChildConnections(connections, parentId) {
+    return connections
+        .filter(conn => conn.source === parentId)
+        .sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Assign child indices to connections saved before child order was stored.
+ * Siblings without a complete order are ordered by the x coordinate of the child, as they used to be.
+ * @param {Array} nodes - All nodes
+ * @param {Array} connections - All connections (updated in place)
+ * @returns {Array} - The same connections
+ */
+export function assignMissingChildIndices(nodes, connections) {
+    const parentIds = new Set(connections.map(conn => conn.source));
+
+    parentIds.forEach(parentId => {
+        const siblings = connections.filter(conn => conn.source === parentId);
+        if (siblings.every(conn => Number.isInteger(conn.index))) return;
+
+        const nodeX = (conn) => {
+            const node = nodes.find(n => n.id === conn.target);
+            return node ? node.x : 0;
+        };
+
+        siblings
+            .sort((a, b) => nodeX(a) - nodeX(b))
+            .forEach((conn, index) => {
+                conn.index = index;
+            });
+    });
+
+    return connections;
+}